@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/**
+ * lego-export - Batch export block() parts to STL, 3MF, OBJ or AMF
+ *
+ * Reads a JSON or YAML spec listing block() parameter sets and/or a parameter sweep,
+ * and writes one file per part, named from its parameters.
+ *
+ * Usage: lego-export <spec.json|spec.yaml> [options]
+ * Run with --help for the options and spec format.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const YAML = require('yaml');
+const { translate } = require('@jscad/modeling').transforms;
+const { measureBoundingBox } = require('@jscad/modeling').measurements;
+const stlSerializer = require('@jscad/stl-serializer');
+const threemfSerializer = require('@jscad/3mf-serializer');
+const objSerializer = require('@jscad/obj-serializer');
+const amfSerializer = require('@jscad/amf-serializer');
+const { block, computePartDescriptor } = require('../lego.js');
+
+const USAGE = `Usage: lego-export <spec.json|spec.yaml> [options]
+
+Options:
+  -f, --format <format>   stl (binary, default), stl-ascii, 3mf, obj or amf
+  -o, --out <dir>         Output directory (default: current directory)
+  -c, --combined <file>   Write every part as a separate object in one 3MF file instead
+  -h, --help              Show this help
+
+Spec format (JSON or YAML):
+  A list of block() parameter sets:
+    [{ "width": 2, "length": 4 }, { "width": 1, "length": 2, "height": "1/3" }]
+  or an object with shared defaults, explicit parts and/or a sweep:
+    defaults: { studType: hollow }
+    parts: [{ width: 2, length: 2, name: corner }]
+    sweep: { width: 1..4, length: 1..8, height: [1, 1/3] }
+  A sweep makes every combination of its values. Values are numbers, lists,
+  integer ranges ("1..8") or fractions ("1/3"). "name" overrides the file name.`;
+
+// Format name -> serializer, its options, and file extension
+const FORMATS = {
+  stl: { serializer: stlSerializer, options: { binary: true }, extension: 'stl' },
+  'stl-ascii': { serializer: stlSerializer, options: { binary: false }, extension: 'stl' },
+  '3mf': { serializer: threemfSerializer, options: {}, extension: '3mf' },
+  obj: { serializer: objSerializer, options: {}, extension: 'obj' },
+  amf: { serializer: amfSerializer, options: {}, extension: 'amf' }
+};
+
+// Print-tuning params that the part descriptor leaves out but that still change the file
+const TUNING_PARAMS = ['studRescale', 'studTopRoundness', 'tolerances', 'segments'];
+
+// Gap between parts laid out in a combined 3MF, in mm
+const COMBINED_SPACING = 5;
+
+// Types whose width and length are not interchangeable; block() turns every other footprint lengthways
+const ORIENTED_TYPES = ['slope', 'wing'];
+
+/**
+ * Parse a spec value: numbers pass through, "a/b" becomes a fraction, anything else stays as is
+ */
+const parseValue = (value) => {
+  if (typeof value !== 'string') return value;
+  const fraction = value.match(/^\s*(-?\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)\s*$/);
+  return fraction ? Number(fraction[1]) / Number(fraction[2]) : value;
+};
+
+/**
+ * Expand one sweep entry into its list of values: a list, an integer range "1..8", or a single value
+ */
+const expandSweepValues = (key, value) => {
+  if (Array.isArray(value)) return value.map(parseValue);
+  const range = typeof value === 'string' && value.match(/^\s*(-?\d+)\s*\.\.\s*(-?\d+)\s*$/);
+  if (range) {
+    const [from, to] = [Number(range[1]), Number(range[2])];
+    if (to < from) throw new Error(`Sweep ${key}: range ${value} runs backwards`);
+    return Array.from({ length: to - from + 1 }, (_, i) => from + i);
+  }
+  return [parseValue(value)];
+};
+
+const parseParams = (params) => Object.fromEntries(Object.entries(params).map(([key, value]) => [key, parseValue(value)]));
+
+/**
+ * Put a parameter set's footprint the way block() builds it, so 2x1 and 1x2 are the same part
+ */
+const normalizeFootprint = (params) => {
+  const { type, width, length } = params;
+  if (ORIENTED_TYPES.includes(type) || width === undefined || length === undefined || width <= length) return params;
+  return { ...params, width: length, length: width };
+};
+
+/**
+ * Turn a parsed spec into the full list of block() parameter sets
+ */
+const expandSpec = (spec) => {
+  const { defaults = {}, parts = [], sweep = null } = Array.isArray(spec) ? { parts: spec } : spec;
+  const base = parseParams(defaults);
+  const expanded = parts.map(part => ({ ...base, ...parseParams(part) }));
+
+  // A sweep over both width and length meets most footprints twice (1x2 and 2x1); keep the first
+  if (sweep) {
+    const combinations = Object.entries(sweep).reduce((sets, [key, value]) =>
+      sets.flatMap(set => expandSweepValues(key, value).map(v => ({ ...set, [key]: v }))), [{}]);
+    const seen = new Set();
+    combinations.forEach((combination) => {
+      const params = normalizeFootprint({ ...base, ...combination });
+      const key = JSON.stringify(params);
+      if (seen.has(key)) return;
+      seen.add(key);
+      expanded.push(params);
+    });
+  }
+
+  if (expanded.length === 0) throw new Error('Spec lists no parts (expected a list, "parts" or "sweep")');
+  return expanded;
+};
+
+const slugify = (text) => text.toLowerCase().replace(/\//g, '-').replace(/[^a-z0-9.-]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * File name (without extension) for a parameter set, unique among those already used
+ */
+const fileNameFor = (params, used) => {
+  // A tolerances object is named after its preset, or just "custom"
+  const tuningValue = (value) => typeof value === 'object' ? (value.preset || 'custom') : value;
+  const tuning = TUNING_PARAMS.filter(key => params[key] !== undefined).map(key => `${key}-${tuningValue(params[key])}`);
+  const base = slugify(params.name || [computePartDescriptor(params), ...tuning].join(' '));
+  let name = base;
+  for (let i = 2; used.has(name); i++) name = `${base}-${i}`;
+  used.add(name);
+  return name;
+};
+
+/**
+ * Serializers return a list of strings and binary chunks; write them as one file
+ */
+const writeSerialized = (file, chunks) => {
+  const buffers = chunks.map((chunk) => {
+    if (typeof chunk === 'string') return Buffer.from(chunk);
+    if (ArrayBuffer.isView(chunk)) return Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+    return Buffer.from(chunk);
+  });
+  fs.writeFileSync(file, Buffer.concat(buffers));
+};
+
+/**
+ * Lay parts out in a row along X so a combined 3MF opens with nothing overlapping
+ */
+const layOutInRow = (geometries) => {
+  let x = 0;
+  return geometries.map((geometry) => {
+    const [min, max] = measureBoundingBox(geometry);
+    const moved = translate([x - min[0], -min[1], 0], geometry);
+    x += (max[0] - min[0]) + COMBINED_SPACING;
+    return moved;
+  });
+};
+
+const run = (argv) => {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      format: { type: 'string', short: 'f', default: 'stl' },
+      out: { type: 'string', short: 'o', default: '.' },
+      combined: { type: 'string', short: 'c' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    return values.help ? 0 : 1;
+  }
+
+  const format = FORMATS[values.format];
+  if (!format) throw new Error(`Unknown format: ${values.format} (expected ${Object.keys(FORMATS).join(', ')})`);
+
+  const specFile = positionals[0];
+  const text = fs.readFileSync(specFile, 'utf8');
+  const spec = /\.ya?ml$/i.test(specFile) ? YAML.parse(text) : JSON.parse(text);
+  const paramSets = expandSpec(spec);
+
+  const used = new Set();
+  const parts = paramSets.map((params) => {
+    const name = fileNameFor(params, used);
+    const { name: _, ...blockParams } = params;
+    return { name, blockParams };
+  });
+
+  if (values.combined) {
+    const geometries = layOutInRow(parts.map(({ blockParams }) => block(blockParams)));
+    // The 3MF serializer names each object after its geometry's name
+    geometries.forEach((geometry, i) => { geometry.name = parts[i].name; });
+    writeSerialized(values.combined, threemfSerializer.serialize({}, ...geometries));
+    console.log(`Wrote ${parts.length} parts to ${values.combined}`);
+    return 0;
+  }
+
+  fs.mkdirSync(values.out, { recursive: true });
+  parts.forEach(({ name, blockParams }) => {
+    const file = path.join(values.out, `${name}.${format.extension}`);
+    writeSerialized(file, format.serializer.serialize(format.options, block(blockParams)));
+    console.log(`Wrote ${file}`);
+  });
+  return 0;
+};
+
+try {
+  process.exitCode = run(process.argv.slice(2));
+} catch (error) {
+  console.error(`lego-export: ${error.message}`);
+  process.exitCode = 1;
+}
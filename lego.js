@@ -8,10 +8,17 @@
  */
 
 const jscad = require('@jscad/modeling');
-const { cuboid, cylinder, circle } = jscad.primitives;
-const { subtract, union } = jscad.booleans;
-const { translate, rotateX } = jscad.transforms;
-const { extrudeRotate } = jscad.extrusions;
+const { cuboid, cylinder, cylinderElliptic, circle } = jscad.primitives;
+const { intersect, subtract, union } = jscad.booleans;
+const { polygon } = jscad.primitives;
+const { translate, rotate, rotateX, rotateY, rotateZ, mirrorZ } = jscad.transforms;
+const { degToRad } = jscad.utils;
+const { colorize, colorNameToRgb, hexToRgb } = jscad.colors;
+const { extrudeRotate, extrudeLinear } = jscad.extrusions;
+const { measureVolume, measureBoundingBox } = jscad.measurements;
+const { vectorText } = jscad.text;
+const { expand } = jscad.expansions;
+const { geom3, path2 } = jscad.geometries;
 
 // =============================================================================
 // LEGO Dimensions (mm) - Standard LEGO brick measurements
@@ -44,6 +51,160 @@ const HORIZONTAL_HOLE_WALL_THICKNESS = 1;  // Wall thickness around holes
 const AXLE_DIAMETER = 5;                   // Overall diameter of axle hole
 const AXLE_SPLINE_WIDTH = 2;               // Width of the cross arms
 
+// Bar and clip dimensions (side attachments)
+const BAR_DIAMETER = 3.18;                 // Diameter of bars, which clips grip
+const CLIP_INNER_DIAMETER = 3.2;           // Inner diameter of clips
+const CLIP_THICKNESS = 0.8;                // Wall thickness of clips
+
+// =============================================================================
+// Brand Dimension Profiles - Every builder reads its measurements from one of these
+// =============================================================================
+
+const LEGO_DIMENSIONS = {
+  studSpacing: STUD_SPACING,
+  studDiameter: STUD_DIAMETER,
+  studHeight: STUD_HEIGHT,
+  wallThickness: WALL_THICKNESS,
+  wallPlay: WALL_PLAY,
+  blockHeight: BLOCK_HEIGHT,
+  baseplateHeight: BASEPLATE_HEIGHT,
+  postDiameter: POST_DIAMETER,
+  postWallThickness: POST_WALL_THICKNESS,
+  pinDiameter: PIN_DIAMETER,
+  hollowStudInnerDiameter: HOLLOW_STUD_INNER_DIAMETER,
+  splineLength: SPLINE_LENGTH,
+  splineThickness: SPLINE_THICKNESS,
+  reinforcingWidth: REINFORCING_WIDTH,
+  roofThickness: ROOF_THICKNESS,
+  horizontalHoleDiameter: HORIZONTAL_HOLE_DIAMETER,
+  horizontalHoleZOffset: HORIZONTAL_HOLE_Z_OFFSET,
+  horizontalHoleBevelDiameter: HORIZONTAL_HOLE_BEVEL_DIAMETER,
+  horizontalHoleBevelDepth: HORIZONTAL_HOLE_BEVEL_DEPTH,
+  horizontalHoleWallThickness: HORIZONTAL_HOLE_WALL_THICKNESS,
+  axleDiameter: AXLE_DIAMETER,
+  axleSplineWidth: AXLE_SPLINE_WIDTH,
+  barDiameter: BAR_DIAMETER,
+  clipInnerDiameter: CLIP_INNER_DIAMETER,
+  clipThickness: CLIP_THICKNESS
+};
+
+// DUPLO values from LEGO.scad (axle dimensions based on "Early Simple Machines Set 9656")
+const DUPLO_DIMENSIONS = {
+  ...LEGO_DIMENSIONS,
+  studSpacing: STUD_SPACING * 2,
+  studDiameter: 9.4,
+  studHeight: 4.4,
+  wallThickness: 1.5,
+  blockHeight: BLOCK_HEIGHT * 2,
+  baseplateHeight: BLOCK_HEIGHT * 2,       // DUPLO has no thin baseplate unit
+  postDiameter: 13.2,
+  postWallThickness: 1,
+  pinDiameter: PIN_DIAMETER * 2,
+  hollowStudInnerDiameter: 6.7,
+  splineLength: 1.7,
+  splineThickness: 1.3,
+  reinforcingWidth: 1,
+  horizontalHoleDiameter: HORIZONTAL_HOLE_DIAMETER * 2,
+  horizontalHoleZOffset: HORIZONTAL_HOLE_Z_OFFSET * 2,
+  horizontalHoleBevelDiameter: HORIZONTAL_HOLE_BEVEL_DIAMETER * 2,
+  horizontalHoleBevelDepth: HORIZONTAL_HOLE_BEVEL_DEPTH * 1.5 / 1.2,
+  axleDiameter: 7.25,
+  axleSplineWidth: 3.1,
+  barDiameter: BAR_DIAMETER * 2,           // DUPLO has no bars or clips; scaled like the pins
+  clipInnerDiameter: CLIP_INNER_DIAMETER * 2,
+  clipThickness: CLIP_THICKNESS * 2
+};
+
+const BRAND_DIMENSIONS = {
+  lego: LEGO_DIMENSIONS,
+  duplo: DUPLO_DIMENSIONS
+};
+
+// Dimensions a tolerance profile may change; the grid itself (spacing and heights) stays fixed
+const TOLERANCE_KEYS = [
+  'studDiameter',
+  'hollowStudInnerDiameter',
+  'wallPlay',
+  'wallThickness',
+  'postDiameter',
+  'postWallThickness',
+  'pinDiameter',
+  'splineThickness',
+  'horizontalHoleDiameter',
+  'horizontalHoleBevelDiameter',
+  'axleDiameter',
+  'axleSplineWidth',
+  'barDiameter',
+  'clipInnerDiameter'
+];
+
+// Printer presets, as mm added to a brand's nominal dimensions so they suit LEGO and DUPLO alike
+const TOLERANCE_PRESETS = {
+  nominal: {},
+  'fdm-pla': {
+    studDiameter: 0.15,                    // Matches studRescale ~1.03 from the calibration notes
+    wallPlay: 0.05,                        // Extruded walls bulge outwards
+    postDiameter: -0.05,
+    horizontalHoleDiameter: 0.2,           // Printed holes come out small
+    horizontalHoleBevelDiameter: 0.2,
+    axleDiameter: 0.15,
+    axleSplineWidth: 0.1
+  },
+  resin: {
+    studDiameter: 0.05,
+    horizontalHoleDiameter: 0.1,
+    horizontalHoleBevelDiameter: 0.1,
+    axleDiameter: 0.1,
+    axleSplineWidth: 0.05
+  },
+  sls: {
+    wallPlay: 0.1,                         // Sintered powder sticks to outside faces
+    postDiameter: -0.1,
+    horizontalHoleDiameter: 0.25,
+    horizontalHoleBevelDiameter: 0.25,
+    axleDiameter: 0.2,
+    axleSplineWidth: 0.15
+  }
+};
+
+/**
+ * Apply a tolerance profile to a dimension profile
+ * tolerances is a preset name ('fdm-pla', 'resin', 'sls', 'nominal') or an object of absolute mm
+ * values for TOLERANCE_KEYS, optionally on top of a preset: { preset: 'fdm-pla', wallPlay: 0.2 }
+ */
+const applyTolerances = (dims, tolerances) => {
+  if (!tolerances) return dims;
+  const { preset = 'nominal', ...overrides } = typeof tolerances === 'string' ? { preset: tolerances } : tolerances;
+
+  const adjustments = TOLERANCE_PRESETS[String(preset).toLowerCase()];
+  if (!adjustments) {
+    throw new Error(`Unknown tolerance preset: ${preset} (expected ${Object.keys(TOLERANCE_PRESETS).join(', ')})`);
+  }
+
+  const adjusted = { ...dims };
+  Object.entries(adjustments).forEach(([key, delta]) => { adjusted[key] = dims[key] + delta; });
+  Object.entries(overrides).forEach(([key, value]) => {
+    if (!TOLERANCE_KEYS.includes(key)) {
+      throw new Error(`Unknown tolerance: ${key} (expected ${TOLERANCE_KEYS.join(', ')})`);
+    }
+    if (typeof value !== 'number' || !(value > 0)) {
+      throw new Error(`Tolerance ${key} must be a positive number of mm, got ${value}`);
+    }
+    adjusted[key] = value;
+  });
+  return adjusted;
+};
+
+/**
+ * Look up the dimension profile for a brand ('lego' or 'duplo'), adjusted by an optional
+ * tolerance profile (see applyTolerances)
+ */
+const getBrandDimensions = (brand = 'lego', tolerances = null) => {
+  const dims = BRAND_DIMENSIONS[brand];
+  if (!dims) throw new Error(`Unknown brand: ${brand}`);
+  return applyTolerances(dims, tolerances);
+};
+
 // =============================================================================
 // Parameter Definitions - Generates the JSCAD parametric UI
 // =============================================================================
@@ -57,16 +218,25 @@ const getParameterDefinitions = () => [
     values: [0.333333, 0.5, 1, 2, 3, 4, 5, 6],
     captions: ['1/3 (plate)', '1/2', '1 (brick)', '2', '3', '4', '5', '6'],
     initial: 1,
+    min: 1/3,                              // The API takes any height from here up, not just the listed ones
     caption: 'Height:'
   },
   {
     name: 'type',
     type: 'choice',
-    values: ['brick', 'tile', 'baseplate'],
-    captions: ['Brick (with studs)', 'Tile (smooth top)', 'Baseplate (thin solid)'],
+    values: ['brick', 'tile', 'baseplate', 'slope', 'curve', 'wing', 'round'],
+    captions: ['Brick (with studs)', 'Tile (smooth top)', 'Baseplate (thin solid)', 'Slope', 'Curve', 'Wing', 'Round'],
     initial: 'brick',
     caption: 'Type:'
   },
+  {
+    name: 'brand',
+    type: 'choice',
+    values: ['lego', 'duplo'],
+    captions: ['LEGO', 'DUPLO'],
+    initial: 'lego',
+    caption: 'Brand:'
+  },
   {
     name: 'studType',
     type: 'choice',
@@ -85,33 +255,157 @@ const getParameterDefinitions = () => [
   },
 
   { name: 'horizontalHoles', type: 'checkbox', checked: false, caption: 'Technic Holes:' },
+  {
+    name: 'horizontalHoleAxis',
+    type: 'choice',
+    values: ['width', 'length', 'both'],
+    captions: ['Across Width', 'Along Length', 'Both'],
+    initial: 'width',
+    caption: 'Technic Hole Axis:'
+  },
+  {
+    name: 'horizontalHoleShape',
+    type: 'choice',
+    values: ['pin', 'axle'],
+    captions: ['Round (Pin)', 'Cross (Axle)'],
+    initial: 'pin',
+    caption: 'Technic Hole Shape:'
+  },
   { name: 'verticalAxleHoles', type: 'checkbox', checked: false, caption: 'Axle Holes:' },
 
+  { name: 'wings', type: 'group', caption: 'Wings', initial: 'closed' },
+  {
+    name: 'wingType',
+    type: 'choice',
+    values: ['full', 'left', 'right'],
+    captions: ['Full', 'Left', 'Right'],
+    initial: 'full',
+    caption: 'Wing Type:'
+  },
+  { name: 'wingEndWidth', type: 'int', initial: 2, min: 1, max: 31, caption: 'Wing End Width (studs):' },
+  { name: 'wingBaseLength', type: 'int', initial: 2, min: 1, max: 31, caption: 'Wing Base Length (studs):' },
+  { name: 'wingStudNotches', type: 'checkbox', checked: true, caption: 'Wing Stud Notches:' },
+
+  { name: 'slopes', type: 'group', caption: 'Slopes', initial: 'closed' },
+  { name: 'slopeStudRows', type: 'int', initial: 1, min: 0, max: 31, caption: 'Stud Rows Before Slope:' },
+  { name: 'slopeEndHeight', type: 'number', initial: 0, min: 0, max: 5, step: 1/3, caption: 'Slope End Height:' },
+
+  { name: 'curves', type: 'group', caption: 'Curves', initial: 'closed' },
+  {
+    name: 'curveType',
+    type: 'choice',
+    values: ['concave', 'convex'],
+    captions: ['Concave', 'Convex'],
+    initial: 'concave',
+    caption: 'Curve Type:'
+  },
+  { name: 'curveStudRows', type: 'int', initial: 1, min: 0, max: 31, caption: 'Stud Rows Before Curve:' },
+  { name: 'curveEndHeight', type: 'number', initial: 0, min: 0, max: 5, step: 1/3, caption: 'Curve End Height:' },
+
+  { name: 'round', type: 'group', caption: 'Round', initial: 'closed' },
+  { name: 'roundRadius', type: 'int', initial: 0, min: 0, max: 16, caption: 'Corner Radius (studs, 0 = max):' },
+  { name: 'roundStudNotches', type: 'checkbox', checked: true, caption: 'Round Stud Notches:' },
+
+  { name: 'roadways', type: 'group', caption: 'Roadways', initial: 'closed' },
+  { name: 'roadwayWidth', type: 'int', initial: 0, min: 0, max: 32, caption: 'Roadway Width (studs):' },
+  { name: 'roadwayLength', type: 'int', initial: 0, min: 0, max: 32, caption: 'Roadway Length (studs):' },
+  { name: 'roadwayX', type: 'int', initial: 0, min: 0, max: 31, caption: 'Roadway X:' },
+  { name: 'roadwayY', type: 'int', initial: 0, min: 0, max: 31, caption: 'Roadway Y:' },
+  { name: 'roadwayInvert', type: 'checkbox', checked: false, caption: 'Invert Roadway:' },
+
+  { name: 'snot', type: 'group', caption: 'SNOT', initial: 'closed' },
+  { name: 'dualSided', type: 'checkbox', checked: false, caption: 'Studs Top and Bottom:' },
+  { name: 'dualBottom', type: 'checkbox', checked: false, caption: 'Anti-Studs Top and Bottom:' },
+
+  { name: 'lettering', type: 'group', caption: 'Text', initial: 'closed' },
+  { name: 'text', type: 'text', initial: '', caption: 'Face Text:' },
+  {
+    name: 'textFace',
+    type: 'choice',
+    values: ['front', 'back', 'left', 'right', 'top'],
+    captions: ['Front', 'Back', 'Left', 'Right', 'Top (tiles)'],
+    initial: 'front',
+    caption: 'Text Face:'
+  },
+  {
+    name: 'textMode',
+    type: 'choice',
+    values: ['engrave', 'emboss'],
+    captions: ['Engrave', 'Emboss'],
+    initial: 'engrave',
+    caption: 'Text Mode:'
+  },
+  {
+    name: 'textAlign',
+    type: 'choice',
+    values: ['left', 'center', 'right'],
+    captions: ['Left', 'Center', 'Right'],
+    initial: 'center',
+    caption: 'Text Alignment:'
+  },
+  { name: 'textSize', type: 'number', initial: 0, min: 0, max: 50, step: 0.5, caption: 'Text Size (mm, 0 = auto):' },
+  { name: 'textDepth', type: 'number', initial: 0.4, min: 0.1, max: 2, step: 0.1, caption: 'Text Depth (mm):' },
+  { name: 'studText', type: 'text', initial: '', caption: 'Stud Text:' },
+  {
+    name: 'studTextMode',
+    type: 'choice',
+    values: ['emboss', 'engrave'],
+    captions: ['Emboss', 'Engrave'],
+    initial: 'emboss',
+    caption: 'Stud Text Mode:'
+  },
+  { name: 'studTextDepth', type: 'number', initial: 0.2, min: 0.1, max: 1, step: 0.1, caption: 'Stud Text Depth (mm):' },
+
   { name: 'advanced', type: 'group', caption: 'Advanced', initial: 'closed' },
   { name: 'includeSplines', type: 'checkbox', checked: true, caption: 'Wall Splines:' },
   { name: 'withPosts', type: 'checkbox', checked: true, caption: 'Interior Posts:' },
   { name: 'useReinforcement', type: 'checkbox', checked: false, caption: 'Reinforcement:' },
   { name: 'studRescale', type: 'slider', initial: 1.0, min: 0.9, max: 1.1, step: 0.01, caption: 'Stud Scale:' },
   { name: 'studTopRoundness', type: 'slider', initial: 0, min: 0, max: 1, step: 0.1, caption: 'Stud Roundness:' },
-  { name: 'segments', type: 'int', initial: 64, min: 16, max: 128, caption: 'Curve Segments:' }
+  {
+    name: 'tolerances',
+    type: 'choice',
+    values: ['nominal', 'fdm-pla', 'resin', 'sls'],
+    captions: ['Nominal', 'FDM (PLA)', 'Resin', 'SLS'],
+    initial: 'nominal',
+    caption: 'Printer Tolerances:'
+  },
+  { name: 'segments', type: 'int', initial: 64, min: 16, max: 128, caption: 'Curve Segments:' },
+  { name: 'instances', type: 'checkbox', checked: false, caption: 'Fast Preview (Unmerged Parts):' }
 ];
 
 // =============================================================================
 // Helper Functions - Dimension calculations
 // =============================================================================
 
+/**
+ * Normalize the stud footprint (ensure width <= length), except for slopes and wings
+ * whose direction matters
+ */
+const computeRealFootprint = (type, width, length) => {
+  const keepOrientation = type === 'slope' || type === 'wing';
+  return {
+    realWidth: keepOrientation ? width : Math.min(width, length),
+    realLength: keepOrientation ? length : Math.max(width, length)
+  };
+};
+
+/**
+ * Lowest height ratio a type allows: baseplates have minimum height of 1,
+ * regular bricks/tiles allow 1/3 (plate height)
+ */
+const computeMinimumHeight = (type) => type === 'baseplate' ? 1 : 1/3;
+
 const computeRealHeight = (type, height) => {
-  // Baseplates have minimum height of 1, regular bricks/tiles allow 1/3 (plate height)
-  const minHeight = type === 'baseplate' ? 1 : 1/3;
-  return Math.max(minHeight, height);
+  return Math.max(computeMinimumHeight(type), height);
 };
 
 /**
  * Get the block height unit based on type
- * Baseplates use 1.3mm per unit, regular bricks use 9.6mm
+ * LEGO baseplates use 1.3mm per unit, regular bricks use 9.6mm (DUPLO: 19.2mm for both)
  */
-const computeBlockHeightUnit = (type) => {
-  return type === 'baseplate' ? BASEPLATE_HEIGHT : BLOCK_HEIGHT;
+const computeBlockHeightUnit = (dims, type) => {
+  return type === 'baseplate' ? dims.baseplateHeight : dims.blockHeight;
 };
 
 /**
@@ -119,19 +413,19 @@ const computeBlockHeightUnit = (type) => {
  * For studs: all items are placed, so span = count items
  * For interior items (posts/pins): placed between studs, so span = count-1 items
  */
-const computeTotalSpan = (diameter, count, isInterior = false) => {
+const computeTotalSpan = (dims, diameter, count, isInterior = false) => {
   const itemCount = isInterior ? count - 1 : count;
   if (itemCount <= 0) return 0;
-  return (diameter * itemCount) + ((itemCount - 1) * (STUD_SPACING - diameter));
+  return (diameter * itemCount) + ((itemCount - 1) * (dims.studSpacing - diameter));
 };
 
 /**
  * Compute grid offsets for interior features (posts, axle holes, reinforcement)
  * These are positioned between studs, so we use (count - 1) items
  */
-const computeInteriorGridOffsets = (diameter, countX, countY, overallLength, overallWidth) => {
-  const totalLength = computeTotalSpan(diameter, countX, true);
-  const totalWidth = computeTotalSpan(diameter, countY, true);
+const computeInteriorGridOffsets = (dims, diameter, countX, countY, overallLength, overallWidth) => {
+  const totalLength = computeTotalSpan(dims, diameter, countX, true);
+  const totalWidth = computeTotalSpan(dims, diameter, countY, true);
   return {
     offsetX: (diameter / 2) + (overallLength - totalLength) / 2,
     offsetY: (diameter / 2) + (overallWidth - totalWidth) / 2
@@ -142,12 +436,12 @@ const computeInteriorGridOffsets = (diameter, countX, countY, overallLength, ove
  * Iterate over interior grid positions (between studs)
  * Calls callback(posX, posY, x, y) for each position
  */
-const forEachInteriorGridPosition = (realWidth, realLength, offsetX, offsetY, callback) => {
+const forEachInteriorGridPosition = (dims, realWidth, realLength, offsetX, offsetY, callback) => {
   const results = [];
   for (let y = 1; y < realWidth; y++) {
     for (let x = 1; x < realLength; x++) {
-      const posX = offsetX + ((x - 1) * STUD_SPACING);
-      const posY = offsetY + ((y - 1) * STUD_SPACING);
+      const posX = offsetX + ((x - 1) * dims.studSpacing);
+      const posY = offsetY + ((y - 1) * dims.studSpacing);
       const result = callback(posX, posY, x, y);
       if (result) results.push(result);
     }
@@ -155,39 +449,65 @@ const forEachInteriorGridPosition = (realWidth, realLength, offsetX, offsetY, ca
   return results;
 };
 
+/**
+ * Iterate over stud positions on the block top, leaving out those skipStud(x, y) rejects
+ * Calls callback(posX, posY, x, y) for each position
+ */
+const forEachStudPosition = (dims, realWidth, realLength, studRescale, skipStud, callback) => {
+  const scaledDiameter = dims.studDiameter * studRescale;
+  const totalStudsLength = computeTotalSpan(dims, scaledDiameter, realLength);
+  const totalStudsWidth = computeTotalSpan(dims, scaledDiameter, realWidth);
+  const overallLength = (realLength * dims.studSpacing) - (2 * dims.wallPlay);
+  const overallWidth = (realWidth * dims.studSpacing) - (2 * dims.wallPlay);
+  const offsetX = (scaledDiameter / 2) + (overallLength - totalStudsLength) / 2;
+  const offsetY = (scaledDiameter / 2) + (overallWidth - totalStudsWidth) / 2;
+
+  const results = [];
+  for (let y = 0; y < realWidth; y++) {
+    for (let x = 0; x < realLength; x++) {
+      if (skipStud && skipStud(x, y)) continue;
+      const result = callback(offsetX + (x * dims.studSpacing), offsetY + (y * dims.studSpacing), x, y);
+      if (result) results.push(result);
+    }
+  }
+  return results;
+};
+
 /**
  * Create a cross-shaped axle hole
+ * @param {Object} dims - Brand dimension profile
  * @param {number} holeHeight - Height of the hole
  * @param {number} centerZ - Z center position of the hole
  */
-const createAxleCross = (holeHeight, centerZ = null) => {
+const createAxleCross = (dims, holeHeight, centerZ = null) => {
   const z = centerZ !== null ? centerZ : holeHeight / 2;
   const hBar = cuboid({
-    size: [AXLE_DIAMETER, AXLE_SPLINE_WIDTH, holeHeight],
+    size: [dims.axleDiameter, dims.axleSplineWidth, holeHeight],
     center: [0, 0, z]
   });
   const vBar = cuboid({
-    size: [AXLE_SPLINE_WIDTH, AXLE_DIAMETER, holeHeight],
+    size: [dims.axleSplineWidth, dims.axleDiameter, holeHeight],
     center: [0, 0, z]
   });
   return union(hBar, vBar);
 };
 
 /**
- * Create a corner subtraction shape for baseplates (cube minus quarter cylinder)
+ * Create a corner subtraction shape (cube minus quarter cylinder)
  * @param {number} signX - Sign for X offset (-1 or 1)
  * @param {number} signY - Sign for Y offset (-1 or 1)
  * @param {number} r - Corner radius
  * @param {number} h - Height
  * @param {number} segments - Number of cylinder segments
+ * @param {number} innerRadius - Radius of the kept cylinder (smaller than r to also remove the wall)
  */
-const createCornerShape = (signX, signY, r, h, segments) => {
+const createCornerShape = (signX, signY, r, h, segments, innerRadius = r) => {
   const cube = cuboid({
     size: [r + 1, r + 1, h + 1],
     center: [signX * (r + 1) / 2, signY * (r + 1) / 2, (h + 1) / 2 - 0.5]
   });
   const cyl = cylinder({
-    radius: r,
+    radius: innerRadius,
     height: h + 2,
     segments: segments,
     center: [0, 0, (h + 2) / 2 - 1]
@@ -195,6 +515,136 @@ const createCornerShape = (signX, signY, r, h, segments) => {
   return subtract(cube, cyl);
 };
 
+/**
+ * Create text as a solid: vectorText strokes thickened into outlines and extruded
+ * Centered on the origin in XY, reading along +X with its top towards +Y, from z = 0 to depth.
+ *
+ * @param {string} text - Text to write
+ * @param {number} size - Overall text height in mm
+ * @param {number} depth - Extrusion depth in mm
+ * @param {number} maxWidth - Shrink the text to fit this width
+ * @param {number} segments - Segments for the rounded stroke ends
+ */
+const createTextSolid = (text, size, depth, maxWidth = Infinity, segments = 16) => {
+  const strokes = vectorText({}, String(text)).filter(stroke => stroke.length > 1);
+  if (strokes.length === 0) return null;
+
+  const points = strokes.flat();
+  const [minX, maxX] = [Math.min(...points.map(p => p[0])), Math.max(...points.map(p => p[0]))];
+  const [minY, maxY] = [Math.min(...points.map(p => p[1])), Math.max(...points.map(p => p[1]))];
+
+  // Strokes are 15% of the glyph height; scale so glyphs plus strokes fit the height (and width)
+  const glyphHeight = (maxY - minY) || 1;
+  const glyphWidth = maxX - minX;
+  const strokeRatio = 0.15;
+  const scale = Math.min(size / (glyphHeight * (1 + strokeRatio)), maxWidth / (glyphWidth + glyphHeight * strokeRatio));
+  const strokeWidth = glyphHeight * strokeRatio * scale;
+  const centerX = (minX + maxX) / 2;
+  const centerY = (minY + maxY) / 2;
+
+  const outlines = strokes.map((stroke) => {
+    const path = path2.fromPoints({}, stroke.map(([x, y]) => [(x - centerX) * scale, (y - centerY) * scale]));
+    return expand({ delta: strokeWidth / 2, corners: 'round', segments }, path);
+  });
+  return extrudeLinear({ height: depth }, union(...outlines));
+};
+
+// =============================================================================
+// Geometry Cache and Instance Lists
+// =============================================================================
+
+const PART_CACHE_LIMIT = 256;              // Studs, posts and pins kept for reuse
+const BLOCK_CACHE_LIMIT = 16;              // Whole bricks kept for reuse (a big baseplate is many MB)
+
+const createGeometryCache = (limit) => ({ entries: new Map(), limit });
+const partCache = createGeometryCache(PART_CACHE_LIMIT);
+const blockCache = createGeometryCache(BLOCK_CACHE_LIMIT);
+
+/**
+ * Normalise params for a cache key: object keys sorted, undefined entries dropped, and numbers
+ * rounded so 1/3 and 0.333333333333 agree. Returns undefined if something cannot be keyed
+ * (a studMask predicate, say), which makes the caller build without the cache.
+ */
+const normalizeCacheValue = (value) => {
+  if (typeof value === 'function') return undefined;
+  if (typeof value === 'number') return Math.round(value * 1e9) / 1e9;
+  if (Array.isArray(value)) {
+    const items = value.map(normalizeCacheValue);
+    return items.includes(undefined) ? undefined : items;
+  }
+  if (value && typeof value === 'object') {
+    const entries = [];
+    for (const key of Object.keys(value).sort()) {
+      if (value[key] === undefined) continue;
+      const normalized = normalizeCacheValue(value[key]);
+      if (normalized === undefined) return undefined;
+      entries.push([key, normalized]);
+    }
+    return Object.fromEntries(entries);
+  }
+  return value;
+};
+
+/**
+ * Return the cached geometry for (kind, params), building and storing it on a miss.
+ * Geometries are never modified in place (transforms return new ones), so sharing is safe.
+ * The least recently used entry is dropped once the cache is over its limit.
+ */
+const memoizeGeometry = (cache, kind, params, build) => {
+  const normalized = normalizeCacheValue(params);
+  if (normalized === undefined) return build();
+
+  const key = `${kind}:${JSON.stringify(normalized)}`;
+  const { entries } = cache;
+  if (entries.has(key)) {
+    const geometry = entries.get(key);
+    entries.delete(key);
+    entries.set(key, geometry);
+    return geometry;
+  }
+
+  const geometry = build();
+  entries.set(key, geometry);
+  if (entries.size > cache.limit) entries.delete(entries.keys().next().value);
+  return geometry;
+};
+
+/**
+ * Empty the part and brick caches (to free memory after a big build)
+ */
+const clearGeometryCache = () => {
+  partCache.entries.clear();
+  blockCache.entries.clear();
+};
+
+// block({ instances: true }) keeps its parts as a flat list of placed geometries and leaves the
+// union to whoever needs it: the JSCAD viewer draws a list as is, and exporters write each part
+// as its own shell. The helpers below run one block() step on either a geometry or such a list.
+
+/**
+ * Subtract a cutter from a geometry, or from every part of an instance list.
+ * For a list the cutter may be a list too (builders with asInstances), so each part is only cut
+ * by the pieces it touches: subtract skips the others by bounding box. Parts cut away entirely are dropped.
+ */
+const subtractFrom = (target, cutter) => {
+  if (!Array.isArray(target)) return subtract(target, cutter);
+  const cutters = [].concat(cutter);
+  return target.map(part => subtract(part, ...cutters)).filter(part => geom3.toPolygons(part).length > 0);
+};
+
+/**
+ * Add geometry (or a list of it) to a geometry by union, or to an instance list by appending
+ */
+const addTo = (target, addition) => {
+  if (Array.isArray(target)) return target.concat(addition);
+  return union(target, addition);
+};
+
+/**
+ * Apply a transform to a geometry, or to every part of an instance list
+ */
+const transformParts = (target, transform) => Array.isArray(target) ? target.map(transform) : transform(target);
+
 // =============================================================================
 // Geometry Builders - Individual brick components
 // =============================================================================
@@ -203,13 +653,15 @@ const createCornerShape = (signX, signY, r, h, segments) => {
  * Create a single stud (solid or hollow, with optional rounded top)
  * Following OpenSCAD implementation: uses rotate_extrude of a circle to create rounded edge
  *
+ * @param {Object} dims - Brand dimension profile
  * @param {string} studType - 'solid' or 'hollow'
  * @param {number} studRescale - Scale factor for stud diameter
  * @param {number} segments - Number of segments for cylinders
  * @param {number} studTopRoundness - 0 = flat top, up to 1 = very rounded edge
+ * @param {Object} studText - Optional { text, mode: 'emboss' | 'engrave', depth, size } for the stud top
  */
-const createStud = (studType, studRescale, segments, studTopRoundness = 0) => {
-  const scaledDiameter = STUD_DIAMETER * studRescale;
+const createStud = (dims, studType, studRescale, segments, studTopRoundness = 0, studText = null) => {
+  const scaledDiameter = dims.studDiameter * studRescale;
   const radius = scaledDiameter / 2;
 
   // Clamp roundness: must be less than radius/2 per OpenSCAD assertion
@@ -225,7 +677,7 @@ const createStud = (studType, studRescale, segments, studTopRoundness = 0) => {
     // 3. Fill center with cylinder
     // 4. Subtract bottom portion to clean up
 
-    const baseHeight = STUD_HEIGHT - curveHeight;
+    const baseHeight = dims.studHeight - curveHeight;
 
     // Base cylinder
     const base = cylinder({
@@ -273,56 +725,82 @@ const createStud = (studType, studRescale, segments, studTopRoundness = 0) => {
     // Flat top stud (original behavior)
     solidStud = cylinder({
       radius: radius,
-      height: STUD_HEIGHT,
+      height: dims.studHeight,
       segments: segments,
-      center: [0, 0, STUD_HEIGHT / 2]
+      center: [0, 0, dims.studHeight / 2]
     });
   }
 
+  let stud = solidStud;
   if (studType === 'hollow') {
     const hole = cylinder({
-      radius: (HOLLOW_STUD_INNER_DIAMETER * studRescale) / 2,
-      height: STUD_HEIGHT + 0.1,
+      radius: (dims.hollowStudInnerDiameter * studRescale) / 2,
+      height: dims.studHeight + 0.1,
       segments: segments,
-      center: [0, 0, STUD_HEIGHT / 2]
+      center: [0, 0, dims.studHeight / 2]
     });
-    return subtract(solidStud, hole);
+    stud = subtract(solidStud, hole);
   }
 
-  return solidStud;
+  // Text on the flat part of the top, like the logo on real studs
+  if (studText && studText.text) {
+    const flatDiameter = 2 * (radius - curveHeight);
+    const { text, mode = 'emboss', depth = 0.2, size = 0 } = studText;
+    const textSolid = createTextSolid(text, size > 0 ? size : flatDiameter * 0.3, depth + 0.01, flatDiameter * 0.8, segments / 4);
+    if (textSolid) {
+      stud = mode === 'engrave'
+        ? subtract(stud, translate([0, 0, dims.studHeight - depth], textSolid))
+        : union(stud, translate([0, 0, dims.studHeight - 0.01], textSolid));
+    }
+  }
+
+  return stud;
 };
 
 /**
- * Create all studs for the brick top
+ * createStud through the part cache
  */
-const createStuds = (realWidth, realLength, blockHeightMm, studType, studRescale, segments, studTopRoundness = 0) => {
-  const scaledDiameter = STUD_DIAMETER * studRescale;
-  const totalStudsLength = computeTotalSpan(scaledDiameter, realLength);
-  const totalStudsWidth = computeTotalSpan(scaledDiameter, realWidth);
-  const overallLength = (realLength * STUD_SPACING) - (2 * WALL_PLAY);
-  const overallWidth = (realWidth * STUD_SPACING) - (2 * WALL_PLAY);
+const createCachedStud = (dims, studType, studRescale, segments, studTopRoundness = 0, studText = null) =>
+  memoizeGeometry(partCache, 'stud', { dims, studType, studRescale, segments, studTopRoundness, studText },
+    () => createStud(dims, studType, studRescale, segments, studTopRoundness, studText));
 
-  const studs = [];
-  const stud = createStud(studType, studRescale, segments, studTopRoundness);
+/**
+ * Create all studs for the brick top
+ * skipStud(x, y) may return true to leave a grid position empty
+ * studTypeAt(x, y) may override studType ('solid' or 'hollow') per grid position
+ * studText puts text on every stud top (see createStud)
+ * asInstances returns the placed studs as a list instead of their union
+ */
+const createStuds = (dims, realWidth, realLength, blockHeightMm, studType, studRescale, segments, studTopRoundness = 0, skipStud = null, studTypeAt = null, studText = null, asInstances = false) => {
+  const studVariants = {};
+  const getStud = (type) => {
+    if (!studVariants[type]) studVariants[type] = createCachedStud(dims, type, studRescale, segments, studTopRoundness, studText);
+    return studVariants[type];
+  };
 
-  const offsetX = (scaledDiameter / 2) + (overallLength - totalStudsLength) / 2;
-  const offsetY = (scaledDiameter / 2) + (overallWidth - totalStudsWidth) / 2;
+  const studs = forEachStudPosition(dims, realWidth, realLength, studRescale, skipStud, (posX, posY, x, y) =>
+    translate([posX, posY, blockHeightMm], getStud(studTypeAt ? studTypeAt(x, y) : studType))
+  );
 
-  for (let y = 0; y < realWidth; y++) {
-    for (let x = 0; x < realLength; x++) {
-      const posX = offsetX + (x * STUD_SPACING);
-      const posY = offsetY + (y * STUD_SPACING);
-      studs.push(translate([posX, posY, blockHeightMm], stud));
-    }
-  }
+  if (studs.length === 0) return null;
+  return asInstances ? studs : union(...studs);
+};
 
-  return union(...studs);
+/**
+ * Resolve a studMask entry for grid position (x, y) to a stud type, or null for no stud
+ * The mask is either a predicate (x, y) => value or an array indexed mask[y][x],
+ * where x runs along the block length. Values: true (default stud type), false, 'solid' or 'hollow'.
+ */
+const resolveStudMaskCell = (studMask, x, y, defaultStudType) => {
+  const value = typeof studMask === 'function' ? studMask(x, y) : (studMask[y] || [])[x];
+  if (value === 'solid' || value === 'hollow') return value;
+  return value ? defaultStudType : null;
 };
 
 /**
  * Create the main block body (hollow rectangular shell)
  */
-const createBlockBody = (overallLength, overallWidth, blockHeightMm, bottomType) => {
+const createBlockBody = (dims, overallLength, overallWidth, blockHeightMm, bottomType) => {
   const outer = cuboid({
     size: [overallLength, overallWidth, blockHeightMm],
     center: [overallLength / 2, overallWidth / 2, blockHeightMm / 2]
@@ -332,9 +810,9 @@ const createBlockBody = (overallLength, overallWidth, blockHeightMm, bottomType)
     return outer;
   }
 
-  const innerLength = overallLength - (WALL_THICKNESS * 2);
-  const innerWidth = overallWidth - (WALL_THICKNESS * 2);
-  const innerHeight = blockHeightMm - ROOF_THICKNESS;
+  const innerLength = overallLength - (dims.wallThickness * 2);
+  const innerWidth = overallWidth - (dims.wallThickness * 2);
+  const innerHeight = blockHeightMm - dims.roofThickness;
 
   if (innerLength <= 0 || innerWidth <= 0 || innerHeight <= 0) {
     return outer;
@@ -349,13 +827,10 @@ const createBlockBody = (overallLength, overallWidth, blockHeightMm, bottomType)
 };
 
 /**
- * Create rounded corner subtractions for baseplate
+ * Create rounded corner subtractions for all four corners
  * Following OpenSCAD: negative_rounded_corner subtracts a cube minus a cylinder
- * r = (stud_spacing / 2) - wall_play = 3.9mm
  */
-const createBaseplateCornerSubtractions = (overallLength, overallWidth, blockHeightMm, segments) => {
-  const r = (STUD_SPACING / 2) - WALL_PLAY;  // Corner radius = 3.9mm
-
+const createRoundedCornerSubtractions = (overallLength, overallWidth, blockHeightMm, r, segments, innerRadius = r, asInstances = false) => {
   // Define corner positions and orientations: [translateX, translateY, signX, signY]
   const cornerConfigs = [
     [overallLength - r, overallWidth - r, 1, 1],   // top-right
@@ -365,26 +840,123 @@ const createBaseplateCornerSubtractions = (overallLength, overallWidth, blockHei
   ];
 
   const corners = cornerConfigs.map(([tx, ty, signX, signY]) =>
-    translate([tx, ty, 0], createCornerShape(signX, signY, r, blockHeightMm, segments))
+    translate([tx, ty, 0], createCornerShape(signX, signY, r, blockHeightMm, segments, innerRadius))
   );
 
-  return union(...corners);
+  return asInstances ? corners : union(...corners);
+};
+
+/**
+ * Create rounded corner subtractions for baseplate
+ * r = (stud_spacing / 2) - wall_play = 3.9mm (7.9mm for DUPLO)
+ */
+const createBaseplateCornerSubtractions = (dims, overallLength, overallWidth, blockHeightMm, segments, asInstances = false) => {
+  const r = (dims.studSpacing / 2) - dims.wallPlay;
+  return createRoundedCornerSubtractions(overallLength, overallWidth, blockHeightMm, r, segments, r, asInstances);
+};
+
+/**
+ * Normalize the corner radius of a round block, in studs
+ * Following OpenSCAD: 0 (or anything too large) rounds as far as half the shorter side
+ */
+const computeRealRounding = (realWidth, realLength, roundRadius) => {
+  const maxRound = Math.min(realWidth, realLength) / 2;
+  return roundRadius > 0 ? Math.min(maxRound, roundRadius) : maxRound;
+};
+
+/**
+ * Check whether the stud at grid position (x, y) falls in a rounded-off corner
+ * Following OpenSCAD skip_this_stud for round blocks
+ */
+const isStudInRoundedCorner = (realWidth, realLength, rounding, x, y) => {
+  return ((x + 1) * (y + 1)) < rounding
+    || ((realLength - x) * (y + 1)) < rounding
+    || ((realLength - x) * (realWidth - y)) < rounding
+    || ((x + 1) * (realWidth - y)) < rounding;
+};
+
+/**
+ * Normalize roadway rectangles (in studs) to lie within the block, dropping empty ones
+ * Following OpenSCAD real_roadway_* clamping
+ */
+const computeRoadways = (realWidth, realLength, roadways) => {
+  return roadways
+    .map(({ width = 0, length = 0, x = 0, y = 0 }) => {
+      const realRoadwayWidth = Math.max(0, Math.min(width, realWidth));
+      const realRoadwayLength = Math.max(0, Math.min(length, realLength));
+      return {
+        width: realRoadwayWidth,
+        length: realRoadwayLength,
+        x: Math.max(0, Math.min(realLength - realRoadwayLength, x)),
+        y: Math.max(0, Math.min(realWidth - realRoadwayWidth, y))
+      };
+    })
+    .filter(roadway => roadway.width > 0 && roadway.length > 0);
+};
+
+/**
+ * Check whether grid position (x, y) lies inside a roadway
+ */
+const isInRoadway = (roadway, x, y) => {
+  return x >= roadway.x
+    && y >= roadway.y
+    && y < roadway.y + roadway.width
+    && x < roadway.x + roadway.length;
+};
+
+/**
+ * Create the material removed at the corners of a round block (including the straight walls there)
+ */
+const createRoundSubtraction = (dims, overallLength, overallWidth, blockHeightMm, rounding, segments, asInstances = false) => {
+  const r = (rounding * dims.studSpacing) - dims.wallPlay;
+  return createRoundedCornerSubtractions(overallLength, overallWidth, blockHeightMm, r, segments, r - dims.wallThickness, asInstances);
+};
+
+/**
+ * Create the quarter-ring walls that replace the rectangular walls at each corner
+ */
+const createRoundedCornerWalls = (dims, overallLength, overallWidth, blockHeightMm, rounding, segments) => {
+  const outerRadius = rounding * dims.studSpacing;
+  const innerRadius = outerRadius - dims.wallThickness;
+
+  // [centerX, centerY, signX, signY] - signs point from the arc center toward the corner
+  const cornerConfigs = [
+    [outerRadius, outerRadius, -1, -1],
+    [overallLength - outerRadius, outerRadius, 1, -1],
+    [overallLength - outerRadius, overallWidth - outerRadius, 1, 1],
+    [outerRadius, overallWidth - outerRadius, -1, 1]
+  ];
+
+  const walls = cornerConfigs.map(([cx, cy, signX, signY]) => {
+    const ring = subtract(
+      cylinder({ radius: outerRadius, height: blockHeightMm, segments: segments, center: [0, 0, blockHeightMm / 2] }),
+      cylinder({ radius: innerRadius, height: blockHeightMm + 0.002, segments: segments, center: [0, 0, blockHeightMm / 2] })
+    );
+    const quadrant = cuboid({
+      size: [outerRadius, outerRadius, blockHeightMm],
+      center: [signX * outerRadius / 2, signY * outerRadius / 2, blockHeightMm / 2]
+    });
+    return translate([cx, cy, 0], intersect(ring, quadrant));
+  });
+
+  return union(...walls);
 };
 
 /**
  * Create interior wall splines
  */
-const createSplines = (realWidth, realLength, blockHeightMm, overallLength, overallWidth) => {
+const createSplines = (dims, realWidth, realLength, blockHeightMm, overallLength, overallWidth) => {
+  const { studSpacing, splineLength, splineThickness } = dims;
   const splines = [];
-  const basePos = (STUD_SPACING / 2) - WALL_PLAY - (SPLINE_THICKNESS / 2);
-  const nearWall = WALL_THICKNESS + SPLINE_LENGTH / 2;
+  const basePos = (studSpacing / 2) - dims.wallPlay - (splineThickness / 2);
+  const nearWall = dims.wallThickness + splineLength / 2;
 
   // Front/back splines (along X axis)
   for (let x = 0; x < realLength; x++) {
-    const posX = basePos + (x * STUD_SPACING) + SPLINE_THICKNESS / 2;
+    const posX = basePos + (x * studSpacing) + splineThickness / 2;
     [nearWall, overallWidth - nearWall].forEach(posY => {
       splines.push(cuboid({
-        size: [SPLINE_THICKNESS, SPLINE_LENGTH, blockHeightMm],
+        size: [splineThickness, splineLength, blockHeightMm],
         center: [posX, posY, blockHeightMm / 2]
       }));
     });
@@ -392,10 +964,10 @@ const createSplines = (realWidth, realLength, blockHeightMm, overallLength, over
 
   // Left/right splines (along Y axis)
   for (let y = 0; y < realWidth; y++) {
-    const posY = basePos + (y * STUD_SPACING) + SPLINE_THICKNESS / 2;
+    const posY = basePos + (y * studSpacing) + splineThickness / 2;
     [nearWall, overallLength - nearWall].forEach(posX => {
       splines.push(cuboid({
-        size: [SPLINE_LENGTH, SPLINE_THICKNESS, blockHeightMm],
+        size: [splineLength, splineThickness, blockHeightMm],
         center: [posX, posY, blockHeightMm / 2]
       }));
     });
@@ -406,14 +978,15 @@ const createSplines = (realWidth, realLength, blockHeightMm, overallLength, over
 
 /**
  * Create a single interior support post
+ * @param {Object} dims - Brand dimension profile
  * @param {number} blockHeightMm - Height of the brick in mm
  * @param {number} realHeight - Height ratio (1 = standard brick)
  * @param {number} segments - Number of segments for cylinders
  * @param {boolean} hasAxleHole - If true, creates cross-shaped hole; if false, round hollow
  */
-const createPost = (blockHeightMm, realHeight, segments, hasAxleHole = false) => {
+const createPost = (dims, blockHeightMm, realHeight, segments, hasAxleHole = false) => {
   const outer = cylinder({
-    radius: POST_DIAMETER / 2,
+    radius: dims.postDiameter / 2,
     height: blockHeightMm,
     segments: segments,
     center: [0, 0, blockHeightMm / 2]
@@ -421,13 +994,13 @@ const createPost = (blockHeightMm, realHeight, segments, hasAxleHole = false) =>
 
   if (hasAxleHole) {
     // Cross-shaped axle hole (like Technic bricks)
-    const holeHeight = (realHeight + 1) * BLOCK_HEIGHT;
-    const axleCross = createAxleCross(holeHeight, holeHeight / 2 - BLOCK_HEIGHT / 2);
+    const holeHeight = (realHeight + 1) * dims.blockHeight;
+    const axleCross = createAxleCross(dims, holeHeight, holeHeight / 2 - dims.blockHeight / 2);
     return subtract(outer, axleCross);
   } else {
     // Standard round hollow post
     const inner = cylinder({
-      radius: (POST_DIAMETER / 2) - POST_WALL_THICKNESS,
+      radius: (dims.postDiameter / 2) - dims.postWallThickness,
       height: blockHeightMm + 0.1,
       segments: segments,
       center: [0, 0, blockHeightMm / 2]
@@ -438,109 +1011,134 @@ const createPost = (blockHeightMm, realHeight, segments, hasAxleHole = false) =>
 
 /**
  * Create interior posts for blocks wider than 1 stud
+ * skipAxleHole(x, y) may return true to give a post the plain round hole instead
+ * asInstances returns the placed posts as a list instead of their union
  */
-const createPosts = (realWidth, realLength, blockHeightMm, realHeight, overallLength, overallWidth, segments, verticalAxleHoles = false) => {
+const createPosts = (dims, realWidth, realLength, blockHeightMm, realHeight, overallLength, overallWidth, segments, verticalAxleHoles = false, skipAxleHole = null, asInstances = false) => {
   if (realWidth <= 1 || realLength <= 1) return null;
 
-  const { offsetX, offsetY } = computeInteriorGridOffsets(POST_DIAMETER, realLength, realWidth, overallLength, overallWidth);
-  const post = createPost(blockHeightMm, realHeight, segments, verticalAxleHoles);
+  const { offsetX, offsetY } = computeInteriorGridOffsets(dims, dims.postDiameter, realLength, realWidth, overallLength, overallWidth);
+  const cachedPost = (hasAxleHole) => memoizeGeometry(partCache, 'post', { dims, blockHeightMm, realHeight, segments, hasAxleHole },
+    () => createPost(dims, blockHeightMm, realHeight, segments, hasAxleHole));
+  const post = cachedPost(verticalAxleHoles);
+  const plainPost = verticalAxleHoles && skipAxleHole ? cachedPost(false) : post;
 
-  const posts = forEachInteriorGridPosition(realWidth, realLength, offsetX, offsetY, (posX, posY) =>
-    translate([posX, posY, 0], post)
+  const posts = forEachInteriorGridPosition(dims, realWidth, realLength, offsetX, offsetY, (posX, posY, x, y) =>
+    translate([posX, posY, 0], skipAxleHole && skipAxleHole(x, y) ? plainPost : post)
   );
 
-  return union(...posts);
+  return asInstances ? posts : union(...posts);
 };
 
 /**
- * Create pins for 1-wide bricks (exactly one dimension must be 1, not both)
+ * Centres of the pins under 1-wide bricks (exactly one dimension must be 1, not both), as [x, y]
  */
-const createPins = (realWidth, realLength, blockHeightMm, overallLength, overallWidth, segments) => {
+const computePinPositions = (dims, realWidth, realLength, overallLength, overallWidth) => {
   // Pins only for bricks where exactly one dimension is 1
   const isOneWide = realWidth === 1 && realLength > 1;
   const isOneLong = realLength === 1 && realWidth > 1;
-  if (!isOneWide && !isOneLong) return null;
-
-  const pin = cylinder({
-    radius: PIN_DIAMETER / 2,
-    height: blockHeightMm,
-    segments: segments,
-    center: [0, 0, blockHeightMm / 2]
-  });
+  if (!isOneWide && !isOneLong) return [];
 
   // Determine which axis to place pins along
   const count = isOneWide ? realLength : realWidth;
   const overallSize = isOneWide ? overallLength : overallWidth;
   const fixedPos = isOneWide ? overallWidth / 2 : overallLength / 2;
 
-  const totalSpan = computeTotalSpan(PIN_DIAMETER, count, true);
-  const offset = (PIN_DIAMETER / 2) + (overallSize - totalSpan) / 2;
+  const totalSpan = computeTotalSpan(dims, dims.pinDiameter, count, true);
+  const offset = (dims.pinDiameter / 2) + (overallSize - totalSpan) / 2;
 
-  const pins = [];
+  const positions = [];
   for (let i = 1; i < count; i++) {
-    const pos = offset + ((i - 1) * STUD_SPACING);
-    const position = isOneWide ? [pos, fixedPos, 0] : [fixedPos, pos, 0];
-    pins.push(translate(position, pin));
+    const pos = offset + ((i - 1) * dims.studSpacing);
+    positions.push(isOneWide ? [pos, fixedPos] : [fixedPos, pos]);
   }
+  return positions;
+};
+
+/**
+ * Create pins for 1-wide bricks (see computePinPositions)
+ * asInstances returns the placed pins as a list instead of their union
+ */
+const createPins = (dims, realWidth, realLength, blockHeightMm, overallLength, overallWidth, segments, asInstances = false) => {
+  const { pinDiameter } = dims;
+  const positions = computePinPositions(dims, realWidth, realLength, overallLength, overallWidth);
+  if (positions.length === 0) return null;
+
+  const pin = memoizeGeometry(partCache, 'pin', { pinDiameter, blockHeightMm, segments }, () => cylinder({
+    radius: pinDiameter / 2,
+    height: blockHeightMm,
+    segments: segments,
+    center: [0, 0, blockHeightMm / 2]
+  }));
 
-  return union(...pins);
+  const pins = positions.map(([posX, posY]) => translate([posX, posY, 0], pin));
+  return asInstances ? pins : union(...pins);
 };
 
 /**
  * Create reinforcement cross-braces
+ * asInstances returns the braces as a list instead of their union
  */
-const createReinforcement = (realWidth, realLength, blockHeightMm, overallLength, overallWidth, segments) => {
+const createReinforcement = (dims, realWidth, realLength, blockHeightMm, overallLength, overallWidth, segments, asInstances = false) => {
   if (realWidth <= 1 || realLength <= 1) return null;
 
-  const { offsetX, offsetY } = computeInteriorGridOffsets(POST_DIAMETER, realLength, realWidth, overallLength, overallWidth);
-  const crossLength = 2 * (STUD_SPACING - (2 * WALL_PLAY));
+  const { offsetX, offsetY } = computeInteriorGridOffsets(dims, dims.postDiameter, realLength, realWidth, overallLength, overallWidth);
+  const crossLength = 2 * (dims.studSpacing - (2 * dims.wallPlay));
+  const positions = forEachInteriorGridPosition(dims, realWidth, realLength, offsetX, offsetY, (posX, posY) => [posX, posY]);
+
+  // Post cylinders are cut out of the braces to avoid overlap
+  const holeRadius = (dims.postDiameter / 2) - 0.1;
+  const postHole = cylinder({
+    radius: holeRadius,
+    height: blockHeightMm + 1,
+    segments: segments,
+    center: [0, 0, (blockHeightMm + 1) / 2 - 0.5]
+  });
+  const reach = (crossLength / 2) + holeRadius;
 
-  // Create cross-braces at each interior grid position
-  const reinforcements = forEachInteriorGridPosition(realWidth, realLength, offsetX, offsetY, (posX, posY) => {
+  // Create cross-braces at each interior grid position. Each cross only loses the holes its
+  // arms reach (its own post and its neighbours'), so nothing is cut from the whole union
+  const reinforcements = positions.map(([posX, posY]) => {
     const hBar = cuboid({
-      size: [crossLength, REINFORCING_WIDTH, blockHeightMm],
+      size: [crossLength, dims.reinforcingWidth, blockHeightMm],
       center: [posX, posY, blockHeightMm / 2]
     });
     const vBar = cuboid({
-      size: [REINFORCING_WIDTH, crossLength, blockHeightMm],
+      size: [dims.reinforcingWidth, crossLength, blockHeightMm],
       center: [posX, posY, blockHeightMm / 2]
     });
-    return union(hBar, vBar);
+    const holes = positions
+      .filter(([x, y]) => Math.abs(x - posX) < reach && Math.abs(y - posY) < reach)
+      .map(([x, y]) => translate([x, y, 0], postHole));
+    return subtract(union(hBar, vBar), ...holes);
   });
 
-  let result = union(...reinforcements);
-
-  // Subtract post cylinders from reinforcement to avoid overlap
-  forEachInteriorGridPosition(realWidth, realLength, offsetX, offsetY, (posX, posY) => {
-    const postHole = cylinder({
-      radius: (POST_DIAMETER / 2) - 0.1,
-      height: blockHeightMm + 1,
-      segments: segments,
-      center: [posX, posY, (blockHeightMm + 1) / 2 - 0.5]
-    });
-    result = subtract(result, postHole);
-  });
-
-  return result;
+  return asInstances ? reinforcements : union(...reinforcements);
 };
 
 /**
  * Iterate over horizontal hole positions
  * Calls callback(posX, posZ, heightIndex, holeIndex) for each position
+ * topCut ({ studRows, endHeight }) drops holes that would fall under a slope or curve
  */
-const forEachHorizontalHolePosition = (realLength, height, overallLength, callback) => {
-  const totalStudsLength = computeTotalSpan(STUD_DIAMETER, realLength);
+const forEachHorizontalHolePosition = (dims, realLength, height, overallLength, topCut, callback) => {
+  const totalStudsLength = computeTotalSpan(dims, dims.studDiameter, realLength);
   const baseOffset = (overallLength - totalStudsLength) / 2;
 
-  // 1-length bricks: hole is under the stud; >1-length: holes are between studs
-  const xOffset = (HORIZONTAL_HOLE_DIAMETER / 2) + (realLength === 1 ? 0 : (STUD_SPACING / 2));
-  const endIndex = realLength === 1 ? realLength - 1 : realLength - 2;
+  // 1-length bricks (and tops cut down to a single stud row): hole is under the last stud;
+  // otherwise holes are between studs
+  const singleRow = topCut !== null && topCut.studRows === 1;
+  const underStud = realLength === 1 || singleRow;
+  const xOffset = (dims.horizontalHoleDiameter / 2) + (underStud ? 0 : (dims.studSpacing / 2));
+  const startIndex = singleRow ? realLength - 1 : 0;
+  const endIndex = underStud ? realLength - 1 : realLength - 2;
 
   const results = [];
   for (let heightIndex = 0; heightIndex < height; heightIndex++) {
-    for (let holeIndex = 0; holeIndex <= endIndex; holeIndex++) {
-      const posX = xOffset + baseOffset + (holeIndex * STUD_SPACING);
-      const posZ = (heightIndex * BLOCK_HEIGHT) + HORIZONTAL_HOLE_Z_OFFSET;
+    for (let holeIndex = startIndex; holeIndex <= endIndex; holeIndex++) {
+      if (topCut && heightIndex >= topCut.endHeight && holeIndex <= realLength - topCut.studRows - 1) continue;
+      const posX = xOffset + baseOffset + (holeIndex * dims.studSpacing);
+      const posZ = (heightIndex * dims.blockHeight) + dims.horizontalHoleZOffset;
       const result = callback(posX, posZ, heightIndex, holeIndex);
       if (result) results.push(result);
     }
@@ -549,208 +1147,2574 @@ const forEachHorizontalHolePosition = (realLength, height, overallLength, callba
 };
 
 /**
- * Create a Y-axis aligned cylinder (rotated from Z-axis)
+ * Create a Y-axis aligned elliptic cylinder (X radius rx, Z radius rz)
  */
-const createYAxisCylinder = (radius, length, posX, posY, posZ, segments) => {
-  const cyl = cylinder({
-    radius: radius,
+const createYAxisEllipticCylinder = (rx, rz, length, posX, posY, posZ, segments) => {
+  const cyl = cylinderElliptic({
     height: length,
-    segments: segments,
-    center: [0, 0, 0]
+    startRadius: [rx, rz],
+    endRadius: [rx, rz],
+    segments: segments
   });
   return translate([posX, posY, posZ], rotateX(Math.PI / 2, cyl));
 };
 
+const HOLE_AXES = ['width', 'length', 'both'];
+const HOLE_SHAPES = ['pin', 'axle'];
+
 /**
- * Create Technic horizontal hole supports (solid cylinders that will have holes subtracted)
- * These run through the brick perpendicular to the length direction (along Y axis)
+ * Turn a solid built along Z to run horizontally: across the width (Y) or along the length (X)
  */
-const createHorizontalHoleSupports = (realLength, height, overallLength, overallWidth, segments) => {
-  const supportRadius = (HORIZONTAL_HOLE_DIAMETER / 2) + HORIZONTAL_HOLE_WALL_THICKNESS;
+const orientAlongHoleAxis = (axis, solid) => {
+  return axis === 'width' ? rotateX(Math.PI / 2, solid) : rotateY(Math.PI / 2, solid);
+};
 
-  const supports = forEachHorizontalHolePosition(realLength, height, overallLength, (posX, posZ) =>
-    createYAxisCylinder(supportRadius, overallWidth, posX, overallWidth / 2, posZ, segments)
-  );
+/**
+ * List the Technic holes for a block as { axis, offset, z, shape }
+ * axis is the direction the hole runs ('width' = through the long sides, 'length' = through the ends),
+ * offset its mm position along the other horizontal axis. Without explicit positions, holes go between
+ * studs (or under the stud of 1-stud sides) on every brick level, as in LEGO.scad.
+ *
+ * positions: [{ axis = 'width', at, level = 0, shape }], at in studs from the block's start edge
+ * (1 = between the first and second stud, 0.5 = under the first), level = brick level from the bottom
+ */
+/**
+ * Check one explicit Technic hole position (see computeHorizontalHoles) against the block
+ * Returns { key, reason } for the first bad property, or null
+ */
+const checkHolePosition = ({ axis = 'width', at, level = 0, shape = 'pin' }, realWidth, realLength, levels) => {
+  if (axis !== 'width' && axis !== 'length') return { key: 'axis', reason: `axis must be 'width' or 'length', got ${JSON.stringify(axis)}` };
+  const studs = axis === 'width' ? realLength : realWidth;
+  if (typeof at !== 'number' || !(at > 0 && at < studs)) return { key: 'at', reason: `at must be between 0 and ${studs} studs, got ${JSON.stringify(at)}` };
+  if (!Number.isInteger(level) || level < 0 || level >= levels) {
+    return { key: 'level', reason: `level must be an integer from 0 to ${levels - 1}, got ${JSON.stringify(level)}` };
+  }
+  if (!HOLE_SHAPES.includes(shape)) return { key: 'shape', reason: `shape must be one of ${HOLE_SHAPES.join(', ')}, got ${JSON.stringify(shape)}` };
+  return null;
+};
+
+const computeHorizontalHoles = (dims, realWidth, realLength, levels, overallLength, overallWidth, topCut, axis, shape, positions) => {
+  if (!HOLE_AXES.includes(axis)) throw new Error(`Unknown horizontalHoleAxis: ${axis} (expected ${HOLE_AXES.join(', ')})`);
+  if (!HOLE_SHAPES.includes(shape)) throw new Error(`Unknown Technic hole shape: ${shape} (expected ${HOLE_SHAPES.join(', ')})`);
+
+  // Explicit positions have been checked with checkHolePosition (see listShapeErrors)
+  if (positions.length > 0) {
+    return positions.map(({ axis: holeAxis = 'width', at, level = 0, shape: holeShape = shape }) => ({
+      axis: holeAxis,
+      offset: (at * dims.studSpacing) - dims.wallPlay,
+      z: (level * dims.blockHeight) + dims.horizontalHoleZOffset,
+      shape: holeShape
+    }));
+  }
+
+  const holes = [];
+  if (axis !== 'length') {
+    forEachHorizontalHolePosition(dims, realLength, levels, overallLength, topCut, (posX, posZ) => {
+      holes.push({ axis: 'width', offset: posX, z: posZ, shape });
+    });
+  }
+  if (axis !== 'width') {
+    // Holes along the length run under the whole top, so a slope or curve keeps only the levels below its low end
+    forEachHorizontalHolePosition(dims, realWidth, levels, overallWidth, null, (posY, posZ, level) => {
+      if (!topCut || level < topCut.endHeight) holes.push({ axis: 'length', offset: posY, z: posZ, shape });
+    });
+  }
+  return holes;
+};
 
-  return union(...supports);
+/**
+ * Center of a hole and the length of wall it runs through
+ */
+const computeHoleRun = (hole, overallLength, overallWidth) => {
+  return hole.axis === 'width'
+    ? { center: [hole.offset, overallWidth / 2, hole.z], span: overallWidth }
+    : { center: [overallLength / 2, hole.offset, hole.z], span: overallLength };
 };
 
 /**
- * Create the actual Technic holes to subtract (including bevels)
+ * Create Technic horizontal hole supports (solid cylinders that will have holes subtracted)
+ * Each runs the full width or length of the brick, following its hole's axis
  */
-const createHorizontalHoles = (realLength, height, overallLength, overallWidth, segments) => {
-  const holeRadius = HORIZONTAL_HOLE_DIAMETER / 2;
-  const bevelRadius = HORIZONTAL_HOLE_BEVEL_DIAMETER / 2;
-  const bevelLength = HORIZONTAL_HOLE_BEVEL_DEPTH + 0.1;
+const createHorizontalHoleSupports = (dims, holes, overallLength, overallWidth, segments) => {
+  const supportRadius = (dims.horizontalHoleDiameter / 2) + dims.horizontalHoleWallThickness;
+
+  const supports = holes.map((hole) => {
+    const { center, span } = computeHoleRun(hole, overallLength, overallWidth);
+    return translate(center, orientAlongHoleAxis(hole.axis, cylinder({ radius: supportRadius, height: span, segments })));
+  });
 
-  const holes = forEachHorizontalHolePosition(realLength, height, overallLength, (posX, posZ) => {
-    // Main hole cylinder
-    const mainHole = createYAxisCylinder(holeRadius, overallWidth + 0.2, posX, overallWidth / 2, posZ, segments);
+  return supports.length > 0 ? union(...supports) : null;
+};
 
-    // Front and back bevels
-    const frontBevel = createYAxisCylinder(bevelRadius, bevelLength, posX, bevelLength / 2, posZ, segments);
-    const backBevel = createYAxisCylinder(bevelRadius, bevelLength, posX, overallWidth - bevelLength / 2, posZ, segments);
+/**
+ * Create the actual Technic holes to subtract: round pin holes with bevels at both ends,
+ * or axle crosses
+ */
+const createHorizontalHoles = (dims, holes, overallLength, overallWidth, segments, asInstances = false) => {
+  const holeRadius = dims.horizontalHoleDiameter / 2;
+  const bevelRadius = dims.horizontalHoleBevelDiameter / 2;
+  const bevelLength = dims.horizontalHoleBevelDepth + 0.1;
+
+  const cuts = holes.map((hole) => {
+    const { center, span } = computeHoleRun(hole, overallLength, overallWidth);
+    if (hole.shape === 'axle') {
+      return translate(center, orientAlongHoleAxis(hole.axis, createAxleCross(dims, span + 0.2, 0)));
+    }
 
-    return union(mainHole, frontBevel, backBevel);
+    // Main hole cylinder, with a bevel at each end
+    const bevelOffset = (span - bevelLength) / 2;
+    const cut = union(
+      cylinder({ radius: holeRadius, height: span + 0.2, segments }),
+      cylinder({ radius: bevelRadius, height: bevelLength, segments, center: [0, 0, -bevelOffset] }),
+      cylinder({ radius: bevelRadius, height: bevelLength, segments, center: [0, 0, bevelOffset] })
+    );
+    return translate(center, orientAlongHoleAxis(hole.axis, cut));
   });
 
-  return union(...holes);
+  if (cuts.length === 0) return null;
+  return asInstances ? cuts : union(...cuts);
 };
 
 /**
  * Create vertical axle hole subtractions (to cut through the roof/top of the brick)
  * The posts already have axle holes, but this cuts through the top surface
  */
-const createVerticalAxleHoleSubtractions = (realWidth, realLength, realHeight, overallLength, overallWidth) => {
-  const { offsetX, offsetY } = computeInteriorGridOffsets(AXLE_DIAMETER, realLength, realWidth, overallLength, overallWidth);
+const createVerticalAxleHoleSubtractions = (dims, realWidth, realLength, realHeight, overallLength, overallWidth, skipAxleHole = null, asInstances = false) => {
+  const { offsetX, offsetY } = computeInteriorGridOffsets(dims, dims.axleDiameter, realLength, realWidth, overallLength, overallWidth);
 
   // Height extends through entire brick plus extra (matching OpenSCAD: (real_height+1)*block_height)
-  const holeHeight = (realHeight + 1) * BLOCK_HEIGHT;
-  const centerZ = holeHeight / 2 - BLOCK_HEIGHT / 2;
+  const holeHeight = (realHeight + 1) * dims.blockHeight;
+  const centerZ = holeHeight / 2 - dims.blockHeight / 2;
 
-  const holes = forEachInteriorGridPosition(realWidth, realLength, offsetX, offsetY, (posX, posY) =>
-    translate([posX, posY, 0], createAxleCross(holeHeight, centerZ))
+  const holes = forEachInteriorGridPosition(dims, realWidth, realLength, offsetX, offsetY, (posX, posY, x, y) =>
+    skipAxleHole && skipAxleHole(x, y) ? null : translate([posX, posY, 0], createAxleCross(dims, holeHeight, centerZ))
   );
 
-  return union(...holes);
+  if (holes.length === 0) return null;
+  return asInstances ? holes : union(...holes);
 };
 
-// =============================================================================
-// Main Block Function
-// =============================================================================
+/**
+ * Extrude a profile drawn in the XZ plane across the block width (along +Y)
+ * @param {Array} points - Counter-clockwise [x, z] points
+ * @param {number} width - Extrusion length along Y
+ * @param {number} startY - Y position of the near face
+ */
+const extrudeAcrossWidth = (points, width, startY = 0) => {
+  const profile = extrudeLinear({ height: width }, polygon({ points }));
+  return translate([0, startY + width, 0], rotateX(Math.PI / 2, profile));
+};
 
-const block = (params) => {
-  const {
-    width = 2,
-    length = 4,
-    height = 1,
-    type = 'brick',
-    studType = 'solid',
-    bottomType = 'open',
-    horizontalHoles = false,
-    verticalAxleHoles = false,
-    includeSplines = true,
-    withPosts = true,
-    useReinforcement = false,
-    studRescale = 1.0,
+/**
+ * X position where the slope meets the flat stud rows
+ */
+const computeSlopeEndX = (dims, overallLength, studRows) => {
+  return Math.min(overallLength, overallLength - (dims.studSpacing * studRows) + (dims.wallPlay / 2));
+};
+
+/**
+ * Create the wedge removed above the slope (cuts body, studs, posts, splines and pins)
+ * Following OpenSCAD: the slope starts stud_height above slope_end_height at the low end
+ */
+const createSlopeSubtraction = (dims, overallLength, overallWidth, blockHeightMm, topCut) => {
+  const slopeX = computeSlopeEndX(dims, overallLength, topCut.studRows);
+  const lowZ = (topCut.endHeight * dims.blockHeight) + dims.studHeight;
+  const topZ = blockHeightMm + dims.studHeight + 1;
+
+  return extrudeAcrossWidth([
+    [-0.1, lowZ],
+    [slopeX, blockHeightMm - dims.roofThickness],
+    [slopeX, topZ],
+    [-0.1, topZ]
+  ], overallWidth + 1, -0.5);
+};
+
+/**
+ * Create the sloped roof that closes the block after the wedge is removed
+ */
+const createSlopeRoof = (dims, overallLength, overallWidth, blockHeightMm, topCut) => {
+  const slopeX = computeSlopeEndX(dims, overallLength, topCut.studRows);
+  const lowZ = (topCut.endHeight * dims.blockHeight) + dims.studHeight;
+
+  return extrudeAcrossWidth([
+    [0, lowZ],
+    [slopeX, blockHeightMm - dims.roofThickness],
+    [slopeX, blockHeightMm],
+    [0, lowZ + dims.roofThickness]
+  ], overallWidth);
+};
+
+/**
+ * Compute the full axes of the ellipse whose quarter forms the curved top
+ * Following OpenSCAD curve_circle_length() / curve_circle_height()
+ */
+const computeCurveEllipse = (dims, overallLength, blockHeightMm, topCut, curveType) => {
+  const convexAllowance = curveType === 'convex' ? (dims.studHeight * 2) + (dims.wallThickness * 2) : 0;
+  return {
+    length: computeSlopeEndX(dims, overallLength, topCut.studRows) * 2,
+    height: ((blockHeightMm - (topCut.endHeight * dims.blockHeight)) * 2) - convexAllowance
+  };
+};
+
+/**
+ * Create the material removed above the curve (cuts body, studs, posts, splines and pins)
+ * Concave curves keep the quarter ellipse centered on the low end of the curve;
+ * convex curves scoop out a quarter ellipse centered on the top edge
+ */
+const createCurveSubtraction = (dims, overallLength, overallWidth, blockHeightMm, topCut, curveType, segments) => {
+  const ellipse = computeCurveEllipse(dims, overallLength, blockHeightMm, topCut, curveType);
+
+  if (curveType === 'convex') {
+    const curvedLength = overallLength - (topCut.studRows * dims.studSpacing);
+    const studClearance = cuboid({
+      size: [curvedLength, overallWidth, dims.studHeight + 0.1],
+      center: [curvedLength / 2, overallWidth / 2, blockHeightMm + (dims.studHeight + 0.1) / 2]
+    });
+    const scoop = createYAxisEllipticCylinder(ellipse.length / 2, ellipse.height / 2, overallWidth + 1, 0, overallWidth / 2, blockHeightMm, segments);
+    return union(studClearance, scoop);
+  }
+
+  const bounds = cuboid({
+    size: [ellipse.length, overallWidth + 1, ellipse.height],
+    center: [0, overallWidth / 2, blockHeightMm]
+  });
+  const kept = createYAxisEllipticCylinder(ellipse.length / 2, ellipse.height / 2, overallWidth + 2, ellipse.length / 2, overallWidth / 2, blockHeightMm - ellipse.height / 2, segments);
+  return subtract(bounds, kept);
+};
+
+/**
+ * Create the curved wall that closes the block after the curve is cut
+ */
+const createCurveWall = (dims, overallLength, overallWidth, blockHeightMm, topCut, curveType, segments) => {
+  const ellipse = computeCurveEllipse(dims, overallLength, blockHeightMm, topCut, curveType);
+  const { wallThickness } = dims;
+
+  if (curveType === 'convex') {
+    const boundsHeight = ellipse.height / 2 + wallThickness;
+    const bounds = cuboid({
+      size: [ellipse.length / 2, overallWidth, boundsHeight],
+      center: [ellipse.length / 4, overallWidth / 2, blockHeightMm - boundsHeight / 2]
+    });
+    const outer = createYAxisEllipticCylinder(ellipse.length / 2 + wallThickness, ellipse.height / 2 + wallThickness, overallWidth, 0, overallWidth / 2, blockHeightMm, segments);
+    const inner = createYAxisEllipticCylinder(ellipse.length / 2, ellipse.height / 2, overallWidth + 1, 0, overallWidth / 2, blockHeightMm, segments);
+    return intersect(bounds, subtract(outer, inner));
+  }
+
+  const centerZ = blockHeightMm - ellipse.height / 2;
+  const bounds = cuboid({
+    size: [ellipse.length, overallWidth + 1, ellipse.height],
+    center: [0, overallWidth / 2, blockHeightMm]
+  });
+  const outer = createYAxisEllipticCylinder(ellipse.length / 2, ellipse.height / 2, overallWidth, ellipse.length / 2, overallWidth / 2, centerZ, segments);
+  const inner = createYAxisEllipticCylinder(ellipse.length / 2 - wallThickness, ellipse.height / 2 - wallThickness, overallWidth + 1, ellipse.length / 2, overallWidth / 2, centerZ, segments);
+  return intersect(bounds, subtract(outer, inner));
+};
+
+/**
+ * Normalize wing settings
+ * Following OpenSCAD: full wings keep the end width's parity equal to the block width's
+ */
+const computeWingSettings = (realWidth, realLength, wingType, wingEndWidth, wingBaseLength) => {
+  const isFull = wingType !== 'left' && wingType !== 'right';
+  let endWidth;
+  if (isFull) {
+    const parityWidth = realWidth % 2 === 0
+      ? Math.max(2, wingEndWidth % 2 === 0 ? wingEndWidth : wingEndWidth - 1)
+      : Math.max(1, wingEndWidth % 2 === 0 ? wingEndWidth - 1 : wingEndWidth);
+    endWidth = Math.min(realWidth - 2, parityWidth);
+  } else {
+    endWidth = Math.min(realWidth - 1, Math.max(1, wingEndWidth));
+  }
+  const baseLength = Math.min(realLength - 1, Math.max(1, wingBaseLength));
+  const taperLength = realLength - (baseLength - 1);
+  const slope = isFull
+    ? ((realWidth - (endWidth + 1)) / 2) / taperLength
+    : (realWidth - endWidth) / taperLength;
+
+  return { type: isFull ? 'full' : wingType, endWidth, baseLength, slope };
+};
+
+/**
+ * Number of stud columns lost to the wing taper at a 1-based length position
+ * The small bias lets studs remain on slightly trimmed bases, as in OpenSCAD
+ */
+const computeWingWidthLoss = (wing, xPos) => {
+  const run = xPos - (wing.baseLength - 1);
+  return wing.type === 'full'
+    ? Math.round(Math.max(0, 2 * wing.slope * run) + 0.3)
+    : Math.round(Math.max(0, wing.slope * run) + 0.2);
+};
+
+/**
+ * Check whether the stud at grid position (x, y) falls outside the tapered outline
+ */
+const isStudOutsideWing = (wing, realWidth, x, y) => {
+  const loss = computeWingWidthLoss(wing, x + 1);
+  if (wing.type === 'full') {
+    return (y + 1 <= Math.ceil(loss / 2)) || (y + 1 > Math.floor(realWidth - (loss / 2)));
+  }
+  if (wing.type === 'left') return y + 1 > realWidth - loss;
+  return y < loss;
+};
+
+/**
+ * Y positions where the wing's angled edges meet the far end of the block
+ */
+const computeWingEdgeEnds = (dims, wing, overallWidth) => {
+  const endSpan = wing.endWidth * dims.studSpacing;
+  return wing.type === 'full'
+    ? { right: (overallWidth / 2) - (endSpan / 2), left: (overallWidth / 2) + (endSpan / 2) }
+    : { right: overallWidth - endSpan, left: endSpan };
+};
+
+/**
+ * Extrude a counter-clockwise XY footprint upward from z
+ */
+const extrudeFootprint = (points, heightMm, z = 0) => {
+  return translate([0, 0, z], extrudeLinear({ height: heightMm }, polygon({ points })));
+};
+
+/**
+ * Create the triangles cut from the rectangular block to form the wing taper
+ * The cut reaches a stud height below the block too, for dual-sided wings
+ */
+const createWingSubtraction = (dims, wing, overallLength, overallWidth, blockHeightMm) => {
+  const startX = dims.studSpacing * (wing.baseLength - 1);
+  const ends = computeWingEdgeEnds(dims, wing, overallWidth);
+  const cutBottom = -(dims.studHeight + 0.5);
+  const cutHeight = blockHeightMm + (dims.studHeight * 2) + 1;
+  const cuts = [];
+
+  if (wing.type === 'full' || wing.type === 'right') {
+    cuts.push(extrudeFootprint([
+      [startX, -0.01],
+      [overallLength + 0.01, -0.01],
+      [overallLength + 0.01, ends.right]
+    ], cutHeight, cutBottom));
+  }
+  if (wing.type === 'full' || wing.type === 'left') {
+    cuts.push(extrudeFootprint([
+      [startX, overallWidth + 0.01],
+      [overallLength + 0.01, ends.left],
+      [overallLength + 0.01, overallWidth + 0.01]
+    ], cutHeight, cutBottom));
+  }
+
+  return union(...cuts);
+};
+
+/**
+ * Create the outer walls along the wing's angled edges
+ */
+const createWingWalls = (dims, wing, overallLength, overallWidth, blockHeightMm) => {
+  const startX = dims.studSpacing * (wing.baseLength - 1);
+  const ends = computeWingEdgeEnds(dims, wing, overallWidth);
+  const { wallThickness } = dims;
+  const walls = [];
+
+  if (wing.type === 'full' || wing.type === 'right') {
+    walls.push(extrudeFootprint([
+      [startX, 0],
+      [overallLength, ends.right],
+      [overallLength, ends.right + wallThickness],
+      [startX, wallThickness]
+    ], blockHeightMm));
+  }
+  if (wing.type === 'full' || wing.type === 'left') {
+    walls.push(extrudeFootprint([
+      [startX, overallWidth],
+      [startX, overallWidth - wallThickness],
+      [overallLength, ends.left - wallThickness],
+      [overallLength, ends.left]
+    ], blockHeightMm));
+  }
+
+  return union(...walls);
+};
+
+/**
+ * Create oversized studs at the base of the block, used to notch shaped walls
+ * so the part can sit over the studs of the part below
+ * Following OpenSCAD subtract_stud_notches (a 1.5x stud plate just under the block)
+ */
+const createStudNotches = (dims, realWidth, realLength, segments, studTopRoundness = 0) => {
+  return createStuds(dims, realWidth, realLength, -0.001, 'solid', 1.5, segments, studTopRoundness);
+};
+
+const TEXT_FACES = ['front', 'back', 'left', 'right', 'top'];
+const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+const TEXT_MARGIN = 1;                     // Clearance between text and the face edges
+
+// Turn from the front face (facing -Y) to each side face
+const FACE_TURNS = { front: 0, right: Math.PI / 2, back: Math.PI, left: -Math.PI / 2 };
+
+/**
+ * Move geometry built against the front face onto a side face of the uncentered block.
+ * The front-face frame has the face in the XZ plane at y = 0, facing -Y, with x = 0 at the
+ * middle of the face and z = 0 at the block bottom. +X is to the right seen from outside, on every face.
+ */
+const placeOnFace = (face, overallLength, overallWidth, geometry) => {
+  return translate([...computeFaceCenter(face, overallLength, overallWidth), 0], rotateZ(FACE_TURNS[face], geometry));
+};
+
+/**
+ * Where the middle of a side face's bottom edge is on the uncentered block, as [x, y]
+ */
+const computeFaceCenter = (face, overallLength, overallWidth) => ({
+  front: [overallLength / 2, 0],
+  right: [overallLength, overallWidth / 2],
+  back: [overallLength / 2, overallWidth],
+  left: [0, overallWidth / 2]
+})[face];
+
+/**
+ * placeOnFace for a single [x, y, z] point
+ */
+const placePointOnFace = (face, overallLength, overallWidth, [x, y, z]) => {
+  const [centerX, centerY] = computeFaceCenter(face, overallLength, overallWidth);
+  const turn = FACE_TURNS[face];
+  return [centerX + (x * Math.cos(turn)) - (y * Math.sin(turn)), centerY + (x * Math.sin(turn)) + (y * Math.cos(turn)), z];
+};
+
+/**
+ * Check one inscription { text, face, mode, size, depth, align }
+ * Returns { key, reason } for the first bad property, or null
+ */
+const checkInscription = ({ face = 'front', mode = 'engrave', size = 0, depth = 0.4, align = 'center' }) => {
+  if (!TEXT_FACES.includes(face)) return { key: 'face', reason: `face must be one of ${TEXT_FACES.join(', ')}, got ${JSON.stringify(face)}` };
+  if (!TEXT_ALIGNMENTS.includes(align)) return { key: 'align', reason: `align must be one of ${TEXT_ALIGNMENTS.join(', ')}, got ${JSON.stringify(align)}` };
+  if (mode !== 'engrave' && mode !== 'emboss') return { key: 'mode', reason: `mode must be engrave or emboss, got ${JSON.stringify(mode)}` };
+  if (!(depth > 0)) return { key: 'depth', reason: `depth must be positive, got ${JSON.stringify(depth)}` };
+  if (!(size >= 0)) return { key: 'size', reason: `size must be 0 (fit the face) or more, got ${JSON.stringify(size)}` };
+  return null;
+};
+
+/**
+ * Create the solid for one face inscription, positioned on the uncentered block
+ * Side text reads upright when looking at that face; top text reads along the length.
+ * Engraved text is returned sunk into the face (to subtract), embossed text standing on it (to union).
+ */
+const createInscription = (inscription, overallLength, overallWidth, heightMm, segments) => {
+  const { text = '', face = 'front', mode = 'engrave', size = 0, depth = 0.4, align = 'center' } = inscription;
+  if (!text) return null;
+
+  const faceWidth = (face === 'left' || face === 'right') ? overallWidth : overallLength;
+  const faceHeight = face === 'top' ? overallWidth : heightMm;
+  const maxWidth = faceWidth - (2 * TEXT_MARGIN);
+  const textSolid = createTextSolid(text, size > 0 ? size : faceHeight * 0.5, depth + 0.01, maxWidth, segments / 4);
+  if (!textSolid) return null;
+
+  // Align along the face, then sink it in (engrave) or let it overlap the face slightly (emboss)
+  const [min, max] = measureBoundingBox(textSolid);
+  const slack = (maxWidth - (max[0] - min[0])) / 2;
+  const shift = align === 'left' ? -slack : align === 'right' ? slack : 0;
+  const aligned = translate([shift, 0, mode === 'engrave' ? -depth : -0.01], textSolid);
+
+  if (face === 'top') {
+    return { mode, solid: translate([overallLength / 2, overallWidth / 2, heightMm], aligned) };
+  }
+
+  // Stand the text up facing -Y (the front), then turn it to face the others
+  const standing = translate([0, 0, heightMm / 2], rotateX(Math.PI / 2, aligned));
+  return { mode, solid: placeOnFace(face, overallLength, overallWidth, standing) };
+};
+
+const ATTACHMENT_FACES = ['front', 'back', 'left', 'right'];
+const ATTACHMENT_KINDS = ['studs', 'bar', 'clip'];
+const ATTACHMENT_AXES = ['horizontal', 'vertical'];
+
+/**
+ * Measure an attachment on its face: the face's width, the attachment's length along it
+ * (bars run the width of the face by default, clips are half a stud long, at most the face's
+ * height upright) and its reach, half its height on the face. All in mm.
+ */
+const measureAttachment = (dims, attachment, overallLength, overallWidth, heightMm) => {
+  const { face = 'front', kind = 'studs', size = [1, 1], length = null, axis = 'horizontal', plate = false } = attachment;
+  const { studSpacing, wallPlay } = dims;
+  const faceWidth = (face === 'left' || face === 'right') ? overallWidth : overallLength;
+  const clipLength = axis === 'vertical' ? Math.min(studSpacing / 2, heightMm) : studSpacing / 2;
+  const lengthMm = length !== null ? length * studSpacing : (kind === 'bar' ? faceWidth : clipLength);
+
+  const reach = kind === 'studs'
+    ? (plate ? (size[1] * studSpacing) - (2 * wallPlay) : ((size[1] - 1) * studSpacing) + dims.studDiameter) / 2
+    : axis === 'vertical' ? lengthMm / 2
+    : kind === 'bar' ? dims.barDiameter / 2 : (dims.clipInnerDiameter / 2) + dims.clipThickness;
+  return { faceWidth, lengthMm, reach };
+};
+
+/**
+ * Check an attachment { face, kind, at, size, length, axis, plate } against the block
+ * Returns { key, reason } for the first bad property, or null
+ */
+const checkAttachment = (dims, attachment, overallLength, overallWidth, heightMm) => {
+  const { face = 'front', kind = 'studs', at = null, size = [1, 1], length = null, axis = 'horizontal' } = attachment;
+  if (!ATTACHMENT_FACES.includes(face)) return { key: 'face', reason: `face must be one of ${ATTACHMENT_FACES.join(', ')}, got ${JSON.stringify(face)}` };
+  if (!ATTACHMENT_KINDS.includes(kind)) return { key: 'kind', reason: `kind must be one of ${ATTACHMENT_KINDS.join(', ')}, got ${JSON.stringify(kind)}` };
+  if (!ATTACHMENT_AXES.includes(axis)) return { key: 'axis', reason: `axis must be one of ${ATTACHMENT_AXES.join(', ')}, got ${JSON.stringify(axis)}` };
+  if (at !== null && !(Array.isArray(at) && at.length === 2 && at.every(Number.isFinite))) {
+    return { key: 'at', reason: `at must be [x, z] in studs, got ${JSON.stringify(at)}` };
+  }
+  if (!(Array.isArray(size) && size.length === 2 && size.every(n => Number.isInteger(n) && n > 0))) {
+    return { key: 'size', reason: `size must be [columns, rows] of whole studs, got ${JSON.stringify(size)}` };
+  }
+  if (length !== null && !(length > 0)) return { key: 'length', reason: `length must be positive, got ${JSON.stringify(length)}` };
+
+  // Clips hold a bar against the face, so they have to stay within its height
+  const { reach } = measureAttachment(dims, attachment, overallLength, overallWidth, heightMm);
+  const roundedMm = (mm) => Math.round(mm * 100) / 100;
+  if (kind === 'clip' && reach * 2 > heightMm + 1e-9) {
+    return {
+      key: 'kind',
+      reason: `a clip is ${roundedMm(reach * 2)}mm tall but the block is only ${roundedMm(heightMm)}mm: ` +
+        (axis === 'vertical' ? 'shorten it or use a taller block' : 'use a vertical clip or a taller block')
+    };
+  }
+  return null;
+};
+
+/**
+ * Work out where a checked attachment (see checkAttachment) goes.
+ * at is [x, z] in stud spacings from the face's lower left corner (seen from outside) to the
+ * attachment's centre, and defaults to the middle of the face; length is in stud spacings too.
+ * Clips are kept within the block's height.
+ * Returns the attachment with its centre as [x, z] mm in the front-face frame (see placeOnFace)
+ * and its length in mm.
+ */
+const resolveAttachment = (dims, attachment, overallLength, overallWidth, heightMm) => {
+  const { face = 'front', kind = 'studs', at = null, size = [1, 1], axis = 'horizontal', plate = false } = attachment;
+  const { studSpacing, wallPlay } = dims;
+  const { faceWidth, lengthMm, reach } = measureAttachment(dims, attachment, overallLength, overallWidth, heightMm);
+
+  // Without an explicit position, attachments go in the middle of the face, or start at the
+  // bottom of the block if they are taller than it (so nothing hangs below, e.g. a bracket on a plate)
+  const z = at ? at[1] * studSpacing : Math.max(heightMm / 2, reach);
+  const center = [
+    at ? (at[0] * studSpacing) - wallPlay - (faceWidth / 2) : 0,
+    kind === 'clip' ? Math.min(Math.max(z, reach), heightMm - reach) : z
+  ];
+  return { face, kind, axis, plate, size, length: lengthMm, center };
+};
+
+/**
+ * Base centres of side studs in the front-face frame (see createSideStuds), as [x, y, z]
+ */
+const computeSideStudPositions = (dims, size, plate) => {
+  const [columns, rows] = size;
+  const depth = plate ? dims.blockHeight / 3 : 0;
+  const positions = [];
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      positions.push([(column - (columns - 1) / 2) * dims.studSpacing, -depth, (row - (rows - 1) / 2) * dims.studSpacing]);
+    }
+  }
+  return positions;
+};
+
+/**
+ * Create side studs in the front-face frame, size[0] across by size[1] up, centred on the origin
+ * With plate they stand on a plate-thick upright, like the vertical half of a bracket
+ */
+const createSideStuds = (dims, size, plate, stud) => {
+  const [columns, rows] = size;
+  const { studSpacing } = dims;
+  const depth = plate ? dims.blockHeight / 3 : 0;
+
+  // rotateX turns the stud's +Z (up) to -Y (out of the face)
+  const studs = computeSideStudPositions(dims, size, plate).map(position => translate(position, rotateX(Math.PI / 2, stud)));
+  if (!plate) return union(...studs);
+
+  const upright = cuboid({
+    size: [(columns * studSpacing) - (2 * dims.wallPlay), depth + 0.01, (rows * studSpacing) - (2 * dims.wallPlay)],
+    center: [0, (0.01 - depth) / 2, 0]
+  });
+  return union(upright, ...studs);
+};
+
+/**
+ * Create a bar in the front-face frame, running along X and centred on the origin, held off
+ * the face by a wall-thick arm at each end with room for a clip between bar and face
+ */
+const createBar = (dims, length, segments) => {
+  const radius = dims.barDiameter / 2;
+  const offset = radius + dims.clipThickness + (2 * dims.wallPlay);
+  const bar = translate([0, -offset, 0], rotateY(Math.PI / 2, cylinder({ radius, height: length, segments })));
+
+  const arms = [-1, 1].map(side => cuboid({
+    size: [dims.wallThickness, offset + 0.01, dims.barDiameter],
+    center: [side * (length - dims.wallThickness) / 2, (0.01 - offset) / 2, 0]
+  }));
+  return union(bar, ...arms);
+};
+
+/**
+ * Create a clip in the front-face frame, its axis along X and centred on the origin: a ring
+ * sunk half its thickness into the face, open on the far side so a bar snaps in
+ */
+const createClip = (dims, length, segments) => {
+  const innerRadius = dims.clipInnerDiameter / 2;
+  const outerRadius = innerRadius + dims.clipThickness;
+  const offset = innerRadius + (dims.clipThickness / 2);
+
+  const ring = subtract(
+    cylinder({ radius: outerRadius, height: length, segments }),
+    cylinder({ radius: innerRadius, height: length + 0.2, segments })
+  );
+  // The opening is narrower than the bar, so the clip holds on to it
+  const opening = cuboid({
+    size: [length + 0.2, outerRadius, dims.barDiameter * 0.7],
+    center: [0, -offset - (outerRadius / 2), 0]
+  });
+  return subtract(translate([0, -offset, 0], rotateY(Math.PI / 2, ring)), opening);
+};
+
+/**
+ * Create one resolved attachment (see resolveAttachment), positioned on the uncentered block
+ * stud is the block's own stud, reused for side studs
+ */
+const createAttachment = (dims, attachment, overallLength, overallWidth, stud, segments) => {
+  const { face, kind, axis, plate, size, length, center } = attachment;
+  let solid;
+  if (kind === 'studs') {
+    solid = createSideStuds(dims, size, plate, stud);
+  } else {
+    solid = kind === 'bar' ? createBar(dims, length, segments) : createClip(dims, length, segments);
+    if (axis === 'vertical') solid = rotateY(Math.PI / 2, solid);
+  }
+  return placeOnFace(face, overallLength, overallWidth, translate([center[0], 0, center[1]], solid));
+};
+
+// =============================================================================
+// Parameter Validation
+// =============================================================================
+
+/**
+ * A block() parameter that is out of range or of the wrong kind.
+ * field is the parameter name, value the rejected value, and allowed what would have been
+ * accepted: { type, min, max, values } as in PARAMETER_RULES.
+ */
+class ParameterError extends Error {
+  constructor(field, value, allowed, reason = null) {
+    super(`Invalid ${field}: ${reason || `expected ${describeAllowed(allowed)}, got ${formatParameterValue(value)}`}`);
+    this.name = 'ParameterError';
+    this.field = field;
+    this.value = value;
+    this.allowed = allowed;
+  }
+}
+
+const formatParameterValue = (value) => {
+  if (typeof value === 'number') return String(Math.round(value * 1000) / 1000);
+  if (typeof value === 'function') return 'a function';
+  return JSON.stringify(value);
+};
+
+/**
+ * Phrase an allowed rule for an error message, e.g. "an integer from 1 to 32"
+ */
+const describeAllowed = ({ type, min, max, values }) => {
+  if (values) return `one of ${values.map(formatParameterValue).join(', ')}`;
+  const kind = { integer: 'an integer', number: 'a number', boolean: 'true or false', string: 'a string', array: 'an array', mask: 'an array or a function' }[type];
+  if (min !== undefined && max !== undefined) return `${kind} from ${formatParameterValue(min)} to ${formatParameterValue(max)}`;
+  if (min !== undefined) return `${kind} of at least ${formatParameterValue(min)}`;
+  return kind;
+};
+
+/**
+ * Turn a getParameterDefinitions entry into a rule. Choices with a numeric min (height)
+ * are ranges in the API; the listed values are only the UI's shortcuts.
+ */
+const ruleFromDefinition = ({ type, min, max, values }) => {
+  if (type === 'int') return { type: 'integer', min, max };
+  if (type === 'number' || type === 'slider') return { type: 'number', min, max };
+  if (type === 'checkbox') return { type: 'boolean' };
+  if (type === 'text') return { type: 'string' };
+  if (min !== undefined) return { type: 'number', min, max };
+  return { values };
+};
+
+// block() params with no UI control, and the block() call options
+const API_PARAMETER_RULES = {
+  roadways: { type: 'array' },
+  studMask: { type: 'mask' },
+  horizontalHolePositions: { type: 'array' },
+  inscriptions: { type: 'array' },
+  attachments: { type: 'array' },
+  studTextSize: { type: 'number', min: 0 },
+  cache: { type: 'boolean' },
+  strict: { type: 'boolean' }
+};
+
+// Every block() param's rule, driven by the same definitions as the web UI
+const PARAMETER_RULES = {
+  ...Object.fromEntries(getParameterDefinitions()
+    .filter(definition => definition.type !== 'group')
+    .map(definition => [definition.name, ruleFromDefinition(definition)])),
+  ...API_PARAMETER_RULES
+};
+
+// The UI lists 1/3 as 0.333333, so ranges allow a little slack
+const RANGE_TOLERANCE = 1e-6;
+
+/**
+ * Check one value against a rule; returns a ParameterError or null
+ */
+const checkParameter = (field, value, allowed) => {
+  const { type, min, max, values } = allowed;
+  if (values) return values.includes(value) ? null : new ParameterError(field, value, allowed);
+
+  const matchesType = {
+    integer: () => Number.isInteger(value),
+    number: () => Number.isFinite(value),
+    boolean: () => typeof value === 'boolean',
+    string: () => typeof value === 'string',
+    array: () => Array.isArray(value),
+    mask: () => Array.isArray(value) || typeof value === 'function'
+  }[type];
+  if (!matchesType()) return new ParameterError(field, value, allowed);
+  if ((min !== undefined && value < min - RANGE_TOLERANCE) || (max !== undefined && value > max + RANGE_TOLERANCE)) {
+    return new ParameterError(field, value, allowed);
+  }
+  return null;
+};
+
+// Top-level text params, by the inscription property they stand for
+const TEXT_PARAMS = { face: 'textFace', mode: 'textMode', size: 'textSize', depth: 'textDepth', align: 'textAlign' };
+
+/**
+ * Find what cannot be built even though each param is in range on its own:
+ * - a convex curve scoops a quarter ellipse out of the top, which needs more than a stud
+ *   and a wall of height above the curve's low end
+ * - a wing tapers from its base rows to its end width, which needs at least two studs each way,
+ *   and a 2-wide full wing tapers away every stud unless it is at least 3 long
+ * - Technic holes need a full-height brick, and explicit hole positions must fall inside it
+ * - each attachment and inscription must name a known face, kind and so on, and clips must
+ *   fit within the block's height
+ * List entries are reported against their list param, e.g. "Invalid attachments: entry 0: ...".
+ * Returns a list of ParameterErrors, empty when the block can be built.
+ */
+const listShapeErrors = (dims, layout, params) => {
+  const {
+    type = 'brick',
+    height = 1,
+    curveEndHeight = 0,
+    wingType = 'full',
+    horizontalHoles = false,
+    horizontalHolePositions = [],
+    attachments = [],
+    inscriptions = [],
+    text = '',
+    textFace = 'front',
+    textMode = 'engrave',
+    textSize = 0,
+    textDepth = 0.4,
+    textAlign = 'center'
+  } = params;
+  const { realWidth, realLength, realHeight, topCut, curveType, realDualBottom } = layout;
+  const errors = [];
+
+  // Entries of a list param are checked one by one; anything that is not an object is wrong outright
+  const checkEntries = (field, entries, check) => entries.forEach((entry, index) => {
+    const problem = entry && typeof entry === 'object' ? check(entry) : { key: null, reason: `must be an object, got ${JSON.stringify(entry)}` };
+    if (problem) errors.push(new ParameterError(field, entry, PARAMETER_RULES[field], `entry ${index}: ${problem.reason}`));
+  });
+
+  if (type === 'curve' && curveType === 'convex') {
+    const needed = dims.studHeight + dims.wallThickness;
+    const remaining = (realHeight - topCut.endHeight) * dims.blockHeight;
+    if (remaining <= needed + RANGE_TOLERANCE) {
+      const field = curveEndHeight > 0 ? 'curveEndHeight' : 'height';
+      const reason = `a convex curve needs more than ${formatParameterValue(needed)} mm between curveEndHeight and the top, ` +
+        `but height ${formatParameterValue(height)} with curveEndHeight ${formatParameterValue(curveEndHeight)} leaves ${formatParameterValue(remaining)} mm`;
+      errors.push(new ParameterError(field, field === 'height' ? height : curveEndHeight, { type: 'number' }, reason));
+    }
+  }
+
+  if (type === 'wing' && (realWidth < 2 || realLength < 2)) {
+    const [field, value] = realWidth < 2 ? ['width', realWidth] : ['length', realLength];
+    errors.push(new ParameterError(field, value, { type: 'integer', min: 2 }, `wings need at least 2 studs of ${field} to taper across, got ${value}`));
+  } else if (type === 'wing' && wingType !== 'left' && wingType !== 'right' && realWidth === 2 && realLength < 3) {
+    // A 2-wide full wing tapers to a point from both sides, so only its base rows keep studs
+    errors.push(new ParameterError('length', realLength, { type: 'integer', min: 3 },
+      `a 2-wide full wing needs at least 3 studs of length to keep a row of studs, got ${realLength}: make it 3 wide or longer`));
+  }
+
+  // Technic holes need at least one full brick height around them (baseplates: 8 of their thin units)
+  const blockHeightMm = realHeight * computeBlockHeightUnit(dims, type);
+  const holesMinHeight = type === 'baseplate' ? 8 : 1;
+  if ((horizontalHoles || horizontalHolePositions.length > 0) && realHeight < holesMinHeight) {
+    errors.push(new ParameterError('height', height, { type: 'number', min: holesMinHeight },
+      `Technic holes need a full-height ${type === 'baseplate' ? 'baseplate' : 'brick'}: ` +
+      `height must be at least ${holesMinHeight}, got ${formatParameterValue(realHeight)}`));
+  } else {
+    const levels = Math.floor((blockHeightMm / dims.blockHeight) + 1e-9);
+    checkEntries('horizontalHolePositions', horizontalHolePositions, hole => checkHolePosition(hole, realWidth, realLength, levels));
+  }
+
+  const overallLength = (realLength * dims.studSpacing) - (2 * dims.wallPlay);
+  const overallWidth = (realWidth * dims.studSpacing) - (2 * dims.wallPlay);
+  const totalHeightMm = realDualBottom ? blockHeightMm * 2 : blockHeightMm;
+  checkEntries('attachments', attachments, attachment => checkAttachment(dims, attachment, overallLength, overallWidth, totalHeightMm));
+  checkEntries('inscriptions', inscriptions, checkInscription);
+
+  if (text) {
+    const problem = checkInscription({ face: textFace, mode: textMode, size: textSize, depth: textDepth, align: textAlign });
+    if (problem) {
+      const field = TEXT_PARAMS[problem.key];
+      errors.push(new ParameterError(field, params[field], PARAMETER_RULES[field], problem.reason));
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Check block() params against the parameter definitions without building anything.
+ * Catches unknown params, wrong kinds (non-integer sizes), values out of range or not among
+ * the choices (an unknown type), heights block() would clamp, and bad tolerances; once those
+ * pass, shapes that cannot be built (see listShapeErrors).
+ * Params left undefined take their defaults and are fine.
+ * Returns { valid, errors } with one ParameterError per bad field or list entry.
+ */
+const validateParams = (params) => {
+  const errors = [];
+
+  Object.entries(params).forEach(([field, value]) => {
+    if (value === undefined) return;
+    const allowed = PARAMETER_RULES[field];
+    if (!allowed) {
+      errors.push(new ParameterError(field, value, { values: Object.keys(PARAMETER_RULES) }, 'unknown parameter'));
+      return;
+    }
+
+    // Tolerances are a preset name or an object of overrides, checked the way block() will use them
+    if (field === 'tolerances') {
+      try {
+        applyTolerances(LEGO_DIMENSIONS, value);
+      } catch (error) {
+        errors.push(new ParameterError(field, value, allowed, error.message));
+      }
+      return;
+    }
+    if (field === 'studMask' && value === null) return;
+
+    const error = checkParameter(field, value, allowed);
+    if (error) errors.push(error);
+  });
+
+  // Baseplates need a taller minimum than the definitions' plate height; block() would clamp it
+  const { type = 'brick', height } = params;
+  const heightChecked = errors.some(error => error.field === 'height' || error.field === 'type');
+  if (height !== undefined && !heightChecked) {
+    const error = checkParameter('height', height, { ...PARAMETER_RULES.height, min: computeMinimumHeight(type) });
+    if (error) errors.push(error);
+  }
+
+  // Only params that passed on their own can be checked against each other
+  if (errors.length === 0) {
+    errors.push(...listShapeErrors(getBrandDimensions(params.brand, params.tolerances), computeBlockLayout(params), params));
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+// =============================================================================
+// Main Block Function
+// =============================================================================
+
+/**
+ * Resolve the parts of block() params that decide where things go rather than how they look:
+ * the real footprint and height, slope/curve/wing/round settings, which grid cells get studs,
+ * and the SNOT flags. block() builds from this, and the grid-level tools (validateAssembly)
+ * read it so they agree with the geometry exactly.
+ */
+const computeBlockLayout = (params) => {
+  const {
+    width = 2,
+    length = 4,
+    height = 1,
+    type = 'brick',
+    slopeStudRows = 1,
+    slopeEndHeight = 0,
+    curveType = 'concave',
+    curveStudRows = 1,
+    curveEndHeight = 0,
+    wingType = 'full',
+    wingEndWidth = 2,
+    wingBaseLength = 2,
+    roundRadius = 0,
+    roadwayWidth = 0,
+    roadwayLength = 0,
+    roadwayX = 0,
+    roadwayY = 0,
+    roadwayInvert = false,
+    roadways = [],
+    dualSided = false,
+    dualBottom = false,
+    studMask = null,
+    studType = 'solid'
+  } = params;
+
+  const { realWidth, realLength } = computeRealFootprint(type, width, length);
+  const realHeight = computeRealHeight(type, height);
+
+  // Slopes and curves cut the top away from the low end, keeping studRows flat rows at the far end
+  const isCurve = type === 'curve';
+  const curve = curveType === 'convex' ? 'convex' : 'concave';
+  const topCut = (type === 'slope' || isCurve) ? {
+    studRows: Math.max(0, Math.min(realLength - 1, isCurve ? curveStudRows : slopeStudRows)),
+    endHeight: Math.max(0, Math.min(realHeight - 1/3, isCurve ? curveEndHeight : slopeEndHeight))
+  } : null;
+  const wing = type === 'wing' ? computeWingSettings(realWidth, realLength, wingType, wingEndWidth, wingBaseLength) : null;
+
+  const studSkips = [];
+  if (topCut) studSkips.push((x) => x < realLength - topCut.studRows);
+  if (wing) studSkips.push((x, y) => isStudOutsideWing(wing, realWidth, x, y));
+  const rounding = type === 'round' ? computeRealRounding(realWidth, realLength, roundRadius) : 0;
+  if (rounding) studSkips.push((x, y) => isStudInRoundedCorner(realWidth, realLength, rounding, x, y));
+
+  // Roadways leave their rectangles smooth (or, inverted, everything outside them)
+  const realRoadways = computeRoadways(realWidth, realLength, [
+    { width: roadwayWidth, length: roadwayLength, x: roadwayX, y: roadwayY },
+    ...roadways
+  ]);
+  if (realRoadways.length > 0) {
+    studSkips.push((x, y) => realRoadways.some(roadway => isInRoadway(roadway, x, y)) !== roadwayInvert);
+  }
+
+  // A stud mask picks which grid cells get studs, and optionally their type
+  const studTypeAt = studMask ? (x, y) => resolveStudMaskCell(studMask, x, y, studType) : null;
+  if (studTypeAt) studSkips.push((x, y) => studTypeAt(x, y) === null);
+  const skipStud = studSkips.length > 0 ? (x, y) => studSkips.some(skip => skip(x, y)) : null;
+  const skipAxleHole = topCut ? (x) => x < realLength - topCut.studRows + 1 : null;
+
+  // SNOT options follow OpenSCAD's exclusions: no curves, slopes or tiles for dual-sided,
+  // no curves or slopes for dual-bottom, and dual-sided wins if both are requested
+  const realDualSided = dualSided && type !== 'curve' && type !== 'slope' && type !== 'tile';
+  const realDualBottom = dualBottom && !realDualSided && type !== 'curve' && type !== 'slope';
+
+  return {
+    realWidth, realLength, realHeight, topCut, curveType: curve, wing, rounding,
+    studTypeAt, skipStud, skipAxleHole, realDualSided, realDualBottom
+  };
+};
+
+/**
+ * Resolve everything about a brick's shape that is known before building it: the brand
+ * dimensions, the layout (see computeBlockLayout), the body size in mm, the bottom type
+ * actually built and the Technic holes. block() builds from this and describe() reports it.
+ */
+const computeBlockFrame = (params) => {
+  const {
+    type = 'brick',
+    brand = 'lego',
+    bottomType = 'open',
+    horizontalHoles = false,
+    horizontalHoleAxis = 'width',
+    horizontalHoleShape = 'pin',
+    horizontalHolePositions = [],
+    tolerances = null
+  } = params;
+
+  const dims = getBrandDimensions(brand, tolerances);
+  const layout = computeBlockLayout(params);
+  const { realWidth, realLength, realHeight, topCut, realDualSided } = layout;
+  const [shapeError] = listShapeErrors(dims, layout, params);
+  if (shapeError) throw shapeError;
+
+  // Calculate overall dimensions in mm
+  // Baseplates use different height unit (1.3mm vs 9.6mm)
+  const blockHeightUnit = computeBlockHeightUnit(dims, type);
+  const overallLength = (realLength * dims.studSpacing) - (2 * dims.wallPlay);
+  const overallWidth = (realWidth * dims.studSpacing) - (2 * dims.wallPlay);
+  const blockHeightMm = realHeight * blockHeightUnit;
+
+  const wantsHorizontalHoles = horizontalHoles || horizontalHolePositions.length > 0;
+  const technicHoles = wantsHorizontalHoles && !realDualSided
+    ? computeHorizontalHoles(dims, realWidth, realLength, Math.floor((blockHeightMm / dims.blockHeight) + 1e-9),
+      overallLength, overallWidth, topCut, horizontalHoleAxis, horizontalHoleShape, horizontalHolePositions)
+    : [];
+
+  // Baseplates are always solid (closed bottom)
+  // Dual-sided blocks too: the roof fills the full height so the mirrored half meets it
+  const effectiveBottomType = (type === 'baseplate' || realDualSided) ? 'closed' : bottomType;
+
+  return { dims, ...layout, overallLength, overallWidth, blockHeightMm, technicHoles, effectiveBottomType };
+};
+
+/**
+ * Build one brick from its params (see getParameterDefinitions and the README).
+ * With instances: true the result is a list of separately placed parts rather than one union.
+ */
+const buildBlock = (params) => {
+  const {
+    type = 'brick',
+    wingStudNotches = true,
+    roundStudNotches = true,
+    studType = 'solid',
+    verticalAxleHoles = false,
+    includeSplines = true,
+    withPosts = true,
+    useReinforcement = false,
+    studRescale = 1.0,
     studTopRoundness = 0,
+    text = '',
+    textFace = 'front',
+    textMode = 'engrave',
+    textSize = 0,
+    textDepth = 0.4,
+    textAlign = 'center',
+    inscriptions = [],
+    studText = '',
+    studTextMode = 'emboss',
+    studTextDepth = 0.2,
+    studTextSize = 0,
+    attachments = [],
+    instances = false,
     segments = 64
   } = params;
 
-  // Normalize dimensions (ensure width <= length)
-  const realWidth = Math.min(width, length);
-  const realLength = Math.max(width, length);
-  const realHeight = computeRealHeight(type, height);
+  const {
+    dims, realWidth, realLength, realHeight, topCut, curveType: realCurveType, wing, rounding,
+    studTypeAt, skipStud, skipAxleHole, realDualSided, realDualBottom,
+    overallLength, overallWidth, blockHeightMm, technicHoles, effectiveBottomType
+  } = computeBlockFrame(params);
+  const isCurve = type === 'curve';
+
+  // Build the brick parts
+  const parts = [];
+
+  // 1. Main body
+  parts.push(createBlockBody(dims, overallLength, overallWidth, blockHeightMm, effectiveBottomType));
+
+  // 2. Studs (unless tile type, or dual-bottom which has anti-studs on both faces)
+  if (type !== 'tile' && !realDualBottom) {
+    const studTextOptions = studText ? { text: studText, mode: studTextMode, depth: studTextDepth, size: studTextSize } : null;
+    const studs = createStuds(dims, realWidth, realLength, blockHeightMm, studType, studRescale, segments, studTopRoundness, skipStud, studTypeAt, studTextOptions, instances);
+    if (studs) parts.push(studs);
+  }
+
+  // 3. Interior features (only for open bottom, not baseplates)
+  if (effectiveBottomType === 'open') {
+    // Wall splines
+    if (includeSplines) {
+      const splines = createSplines(dims, realWidth, realLength, blockHeightMm, overallLength, overallWidth);
+      if (splines) parts.push(splines);
+    }
+
+    // Interior supports
+    if (withPosts) {
+      // Posts (for multi-stud width and length)
+      // If verticalAxleHoles is enabled, posts get cross-shaped holes instead of round hollow
+      const posts = createPosts(dims, realWidth, realLength, blockHeightMm, realHeight, overallLength, overallWidth, segments, verticalAxleHoles, skipAxleHole, instances);
+      if (posts) parts.push(posts);
+
+      // Pins (for 1-wide bricks)
+      const pins = createPins(dims, realWidth, realLength, blockHeightMm, overallLength, overallWidth, segments, instances);
+      if (pins) parts.push(pins);
+
+      // Reinforcement (optional, not for tiles or baseplates)
+      if (useReinforcement && type !== 'tile' && type !== 'baseplate') {
+        const reinforcement = createReinforcement(dims, realWidth, realLength, blockHeightMm, overallLength, overallWidth, segments, instances);
+        if (reinforcement) parts.push(reinforcement);
+      }
+    }
+
+    // Technic horizontal hole supports (solid cylinders running through brick)
+    const supports = createHorizontalHoleSupports(dims, technicHoles, overallLength, overallWidth, segments);
+    if (supports) parts.push(supports);
+  }
+
+  // Combine all parts (or, for instances, just list them)
+  let result = instances ? parts.flat() : union(...parts);
+
+  // Cut the slope, curve or wing taper through everything built so far (body, studs, posts, splines, pins)
+  if (wing) {
+    result = subtractFrom(result, createWingSubtraction(dims, wing, overallLength, overallWidth, blockHeightMm));
+  } else if (rounding) {
+    result = subtractFrom(result, createRoundSubtraction(dims, overallLength, overallWidth, blockHeightMm, rounding, segments, instances));
+  } else if (type === 'slope') {
+    result = subtractFrom(result, createSlopeSubtraction(dims, overallLength, overallWidth, blockHeightMm, topCut));
+  } else if (isCurve) {
+    result = subtractFrom(result, createCurveSubtraction(dims, overallLength, overallWidth, blockHeightMm, topCut, realCurveType, segments));
+  }
+
+  // 4. Subtract Technic horizontal holes (after union, so holes cut through everything)
+  const holes = createHorizontalHoles(dims, technicHoles, overallLength, overallWidth, segments, instances);
+  if (holes) result = subtractFrom(result, holes);
+
+  // 5. Subtract vertical axle holes through the roof (posts already have holes, but need to cut roof too)
+  if (verticalAxleHoles && realWidth > 1 && realLength > 1 && type !== 'baseplate') {
+    const axleHoles = createVerticalAxleHoleSubtractions(dims, realWidth, realLength, realHeight, overallLength, overallWidth, skipAxleHole, instances);
+    if (axleHoles) result = subtractFrom(result, axleHoles);
+  }
+
+  // 6. Subtract rounded corners for baseplates
+  if (type === 'baseplate') {
+    const cornerSubtractions = createBaseplateCornerSubtractions(dims, overallLength, overallWidth, blockHeightMm, segments, instances);
+    result = subtractFrom(result, cornerSubtractions);
+  }
+
+  // 7. Close the sloped, curved or tapered faces with their own walls
+  if (wing) {
+    let wingWalls = createWingWalls(dims, wing, overallLength, overallWidth, blockHeightMm);
+    if (wingStudNotches && !realDualSided) {
+      wingWalls = subtract(wingWalls, createStudNotches(dims, realWidth, realLength, segments, studTopRoundness));
+    }
+    result = addTo(result, wingWalls);
+  } else if (rounding) {
+    let cornerWalls = createRoundedCornerWalls(dims, overallLength, overallWidth, blockHeightMm, rounding, segments);
+    if (roundStudNotches && !realDualSided) {
+      cornerWalls = subtract(cornerWalls, createStudNotches(dims, realWidth, realLength, segments, studTopRoundness));
+    }
+    result = addTo(result, cornerWalls);
+  } else if (type === 'slope') {
+    result = addTo(result, createSlopeRoof(dims, overallLength, overallWidth, blockHeightMm, topCut));
+  } else if (isCurve) {
+    result = addTo(result, createCurveWall(dims, overallLength, overallWidth, blockHeightMm, topCut, realCurveType, segments));
+  }
+
+  // 8. SNOT: mirror the finished block about its top face (studs below a solid body),
+  // or stack a stud-less mirrored copy on top (anti-studs facing up)
+  if (realDualSided) {
+    result = addTo(result, transformParts(result, part => translate([0, 0, blockHeightMm], mirrorZ(part))));
+  } else if (realDualBottom) {
+    result = addTo(result, transformParts(result, part => translate([0, 0, blockHeightMm * 2], mirrorZ(part))));
+  }
+
+  // 9. Side attachments: studs, bars and clips standing out of the faces
+  const totalHeightMm = realDualBottom ? blockHeightMm * 2 : blockHeightMm;
+  if (attachments.length > 0) {
+    const stud = createCachedStud(dims, studType, studRescale, segments, studTopRoundness);
+    attachments
+      .map(attachment => resolveAttachment(dims, attachment, overallLength, overallWidth, totalHeightMm))
+      .forEach((attachment) => {
+        result = addTo(result, createAttachment(dims, attachment, overallLength, overallWidth, stud, segments));
+      });
+  }
+
+  // 10. Text on the faces: engraved into them or embossed onto them
+  [{ text, face: textFace, mode: textMode, size: textSize, depth: textDepth, align: textAlign }, ...inscriptions]
+    .map(inscription => createInscription(inscription, overallLength, overallWidth, totalHeightMm, segments))
+    .filter(Boolean)
+    .forEach(({ mode, solid }) => {
+      result = mode === 'engrave' ? subtractFrom(result, solid) : addTo(result, solid);
+    });
+
+  // Center on X/Y axes (matching OpenSCAD LEGO.scad behavior)
+  result = transformParts(result, part => translate([-overallLength / 2, -overallWidth / 2, 0], part));
+
+  return result;
+};
+
+// Defaults of the web UI parameters, which block() shares
+const BLOCK_PARAM_DEFAULTS = Object.fromEntries(getParameterDefinitions()
+  .filter(definition => definition.type !== 'group')
+  .map(definition => [definition.name, definition.type === 'checkbox' ? definition.checked : definition.initial]));
+
+/**
+ * Key a brick for the cache by the params that differ from their defaults,
+ * so { width: 2 } and the web UI's full parameter set for the same brick share an entry
+ */
+const normalizeBlockParams = (params) => Object.fromEntries(Object.entries(params)
+  .filter(([name, value]) => !(name in BLOCK_PARAM_DEFAULTS) || normalizeCacheValue(value) !== normalizeCacheValue(BLOCK_PARAM_DEFAULTS[name])));
+
+/**
+ * Build a brick (see buildBlock). Bricks are memoised by their normalised params, so the same
+ * brick asked for again (in an assembly, brickify or an export sweep) comes from the cache.
+ * Pass cache: false to always rebuild, and strict: true to throw a ParameterError for any
+ * param validateParams rejects instead of clamping or ignoring it.
+ */
+const block = (params) => {
+  const { cache = true, strict = false, ...blockParams } = params;
+  if (strict) {
+    const { errors } = validateParams(params);
+    if (errors.length > 0) throw errors[0];
+  }
+  if (!cache) return buildBlock(blockParams);
+  const result = memoizeGeometry(blockCache, 'block', normalizeBlockParams(blockParams), () => buildBlock(blockParams));
+  // Instance lists are arrays the caller may change, so hand out a copy
+  return Array.isArray(result) ? [...result] : result;
+};
+
+// =============================================================================
+// Positioning Helpers
+// =============================================================================
+
+const place = (x, y, z, obj, brand = 'lego') => {
+  const dims = getBrandDimensions(brand);
+  const zPos = z || 0;
+  return translate([dims.studSpacing * y, dims.studSpacing * x, zPos * dims.blockHeight], obj);
+};
+
+/**
+ * Union geometries at a grid position
+ * A brand name may be given as the last argument: stack(x, y, z, a, b, 'duplo')
+ */
+const stack = (x, y, z, ...objects) => {
+  const brand = typeof objects[objects.length - 1] === 'string' ? objects.pop() : 'lego';
+  return place(x, y, z, union(...objects), brand);
+};
+
+const uncenter = (width, length, height, obj, brand = 'lego') => {
+  const { studSpacing, wallPlay } = getBrandDimensions(brand);
+  const h = height || 0;
+  return translate([
+    ((studSpacing * length) / 2) - wallPlay,
+    ((studSpacing * width) / 2) - wallPlay,
+    h ? ((studSpacing * h) / 2) - wallPlay : 0
+  ], obj);
+};
+
+const blockHeight = (heightRatio = 1, type = 'brick', brand = 'lego') => {
+  const realHeight = computeRealHeight(type, heightRatio);
+  return realHeight * computeBlockHeightUnit(getBrandDimensions(brand), type);
+};
+
+const minimumBlockCount = (lengthMm, brand = 'lego') => {
+  const { studSpacing, wallPlay } = getBrandDimensions(brand);
+  return Math.ceil((lengthMm / studSpacing) - wallPlay);
+};
+
+// =============================================================================
+// Dimension Queries
+// =============================================================================
+
+const roundMm = (value) => Math.round(value * 1e6) / 1e6;  // Tidy float noise in reports
+
+/**
+ * Report a brick's measurements without building it, from the same layout code block() uses.
+ * Everything is in mm, in block()'s coordinates (centred on X/Y, bottom at z = 0):
+ * - size and bounds: the whole part, studs and embossed text included; body: the body alone
+ * - studs: [x, y, z] centres, z being the face each stud stands on (0 for the lower studs of dualSided)
+ * - sideStuds: { center: [x, y, z], face } for studs attached to the sides, centred where they meet their face
+ * - posts and pins: [x, y] centres of the tubes under the roof, which run up from z = 0
+ * - holes: Technic holes as { center: [x, y, z], axis: 'width' | 'length', shape: 'pin' | 'axle' }
+ * Throws for Technic holes in a block that is too low, like block() does.
+ */
+const describe = (params = {}) => {
+  const {
+    type = 'brick',
+    withPosts = true,
+    studType = 'solid',
+    studRescale = 1.0,
+    studTopRoundness = 0,
+    studText = '',
+    studTextMode = 'emboss',
+    studTextDepth = 0.2,
+    text = '',
+    textFace = 'front',
+    textMode = 'engrave',
+    textDepth = 0.4,
+    inscriptions = [],
+    attachments = [],
+    segments = 64
+  } = params;
+
+  const {
+    dims, realWidth, realLength, skipStud, realDualSided, realDualBottom,
+    overallLength, overallWidth, blockHeightMm, technicHoles, effectiveBottomType
+  } = computeBlockFrame(params);
+  const bodyHeight = realDualBottom ? blockHeightMm * 2 : blockHeightMm;
+  const centered = ([x, y, ...z]) => [roundMm(x - overallLength / 2), roundMm(y - overallWidth / 2), ...z.map(roundMm)];
+
+  // Studs, mirrored under a dual-sided block
+  const studCenters = type !== 'tile' && !realDualBottom
+    ? forEachStudPosition(dims, realWidth, realLength, studRescale, skipStud, (posX, posY) => [posX, posY])
+    : [];
+  const studs = [
+    ...studCenters.map(([x, y]) => centered([x, y, blockHeightMm])),
+    ...(realDualSided ? studCenters.map(([x, y]) => centered([x, y, 0])) : [])
+  ];
+
+  // Posts and pins, as createPosts and createPins place them
+  const hasSupports = effectiveBottomType === 'open' && withPosts;
+  const postOffsets = computeInteriorGridOffsets(dims, dims.postDiameter, realLength, realWidth, overallLength, overallWidth);
+  const posts = hasSupports && realWidth > 1 && realLength > 1
+    ? forEachInteriorGridPosition(dims, realWidth, realLength, postOffsets.offsetX, postOffsets.offsetY, (posX, posY) => centered([posX, posY]))
+    : [];
+  const pins = hasSupports ? computePinPositions(dims, realWidth, realLength, overallLength, overallWidth).map(centered) : [];
+
+  // Technic holes, repeated in the mirrored half of a dual-bottom block
+  const holeCenters = technicHoles.map(hole => ({ ...hole, center: computeHoleRun(hole, overallLength, overallWidth).center }));
+  const holes = [
+    ...holeCenters,
+    ...(realDualBottom ? holeCenters.map(hole => ({ ...hole, center: [hole.center[0], hole.center[1], bodyHeight - hole.center[2]] })) : [])
+  ].map(({ center, axis, shape }) => ({ center: centered(center), axis, shape }));
+
+  // Bounds: the body, plus studs above (and below), plus anything embossed
+  const studTop = dims.studHeight + (studText && studTextMode === 'emboss' ? studTextDepth : 0);
+  const min = [0, 0, realDualSided && studCenters.length > 0 ? -studTop : 0];
+  const max = [overallLength, overallWidth, bodyHeight + (studCenters.length > 0 ? studTop : 0)];
+
+  // Side attachments, measured as block() places them
+  const sideStuds = [];
+  if (attachments.length > 0) {
+    const stud = createCachedStud(dims, studType, studRescale, segments, studTopRoundness);
+    attachments
+      .map(attachment => resolveAttachment(dims, attachment, overallLength, overallWidth, bodyHeight))
+      .forEach((attachment) => {
+        const [low, high] = measureBoundingBox(createAttachment(dims, attachment, overallLength, overallWidth, stud, segments));
+        [0, 1, 2].forEach((i) => {
+          min[i] = Math.min(min[i], low[i]);
+          max[i] = Math.max(max[i], high[i]);
+        });
+        if (attachment.kind !== 'studs') return;
+        const [x, z] = attachment.center;
+        computeSideStudPositions(dims, attachment.size, attachment.plate).forEach(([studX, studY, studZ]) => {
+          const center = placePointOnFace(attachment.face, overallLength, overallWidth, [studX + x, studY, studZ + z]);
+          sideStuds.push({ center: centered(center), face: attachment.face });
+        });
+      });
+  }
+
+  [{ text, face: textFace, mode: textMode, depth: textDepth }, ...inscriptions].forEach(({ text: label, face = 'front', mode = 'engrave', depth = 0.4 }) => {
+    if (!label || mode !== 'emboss') return;
+    if (face === 'front') min[1] -= depth;
+    if (face === 'left') min[0] -= depth;
+    if (face === 'back') max[1] += depth;
+    if (face === 'right') max[0] += depth;
+    if (face === 'top') max[2] = Math.max(max[2], bodyHeight + depth);
+  });
+
+  return {
+    size: max.map((value, i) => roundMm(value - min[i])),
+    bounds: [centered(min), centered(max)],
+    body: [overallLength, overallWidth, bodyHeight].map(roundMm),
+    studs,
+    sideStuds,
+    posts,
+    pins,
+    holes
+  };
+};
+
+/**
+ * Find the smallest brick/plate stack whose body encloses an x by y by z mm envelope,
+ * x along the block length and y across its width (studs on top come extra).
+ * Returns { width, length, height, bricks, plates, size }: the stud footprint, the stack height
+ * as a block() height ratio and as whole bricks plus plates, and the body size in mm.
+ * block() turns footprints so length >= width; fitBlock keeps length along x.
+ */
+const fitBlock = ({ x, y, z }, brand = 'lego') => {
+  Object.entries({ x, y, z }).forEach(([axis, value]) => {
+    if (!(Number.isFinite(value) && value > 0)) throw new Error(`fitBlock: ${axis} must be a positive number of mm, got ${value}`);
+  });
+
+  const { studSpacing, wallPlay, blockHeight: brickHeight } = getBrandDimensions(brand);
+  const plateHeight = brickHeight / 3;
+  const studsFor = (mm) => Math.ceil(((mm + (2 * wallPlay)) / studSpacing) - 1e-9);
+  const length = studsFor(x);
+  const width = studsFor(y);
+  const totalPlates = Math.ceil((z / plateHeight) - 1e-9);
+
+  return {
+    width,
+    length,
+    height: totalPlates / 3,
+    bricks: Math.floor(totalPlates / 3),
+    plates: totalPlates % 3,
+    size: [(length * studSpacing) - (2 * wallPlay), (width * studSpacing) - (2 * wallPlay), totalPlates * plateHeight].map(roundMm)
+  };
+};
+
+// =============================================================================
+// Composite Parts
+// =============================================================================
+
+/**
+ * Create a plate with studLength along Y and studWidth along X
+ * block() always puts the longer side along X, so rotate when length is the longer side
+ */
+const createOrientedPlate = (studLength, studWidth, studType, blockParams) => {
+  const plate = block({ ...blockParams, type: 'brick', height: 1/3, length: studLength, width: studWidth, studType });
+  return studLength > studWidth ? rotateZ(Math.PI / 2, plate) : plate;
+};
+
+/**
+ * Angle plate: a base plate with a hinged overhang plate at an arbitrary angle
+ * Ported from LEGO-Angle-Plate.scad. Use negative angles (e.g. -90) to point the overhang up.
+ * Any other block() params (brand, studRescale, segments, ...) are passed to both plates.
+ */
+const anglePlate = (params = {}) => {
+  const {
+    angle = 90,
+    baseStudLength = 2,
+    baseStudWidth = 2,
+    overhangStudLength = 2,
+    overhangStudWidth = 2,
+    ...blockParams
+  } = params;
+
+  const dims = getBrandDimensions(blockParams.brand, blockParams.tolerances);
+  const { wallPlay } = dims;
+  const radians = degToRad(angle);
+
+  const baseHeight = dims.blockHeight / 3;
+  const baseWidth = (baseStudWidth * dims.studSpacing) - (wallPlay * 2);
+  const baseLength = (baseStudLength * dims.studSpacing) - (wallPlay * 2);
+
+  const overhangHeight = dims.blockHeight / 3;
+  const overhangWidth = (overhangStudWidth * dims.studSpacing) - (wallPlay * 2);
+  const overhangLength = (overhangStudLength * dims.studSpacing) - (wallPlay * 2);
+  const clearLength = Math.max(baseLength, overhangLength) + 0.01;
+
+  const parts = [createOrientedPlate(baseStudLength, baseStudWidth, 'solid', blockParams)];
+
+  // The overhang plate, with its underside filled in (a baseplate would do this,
+  // but it would also be thinner and have rounded corners)
+  const overhang = union(
+    createOrientedPlate(overhangStudLength, overhangStudWidth, 'hollow', blockParams),
+    cuboid({ size: [overhangWidth, overhangLength, overhangHeight], center: [0, 0, overhangHeight / 2] })
+  );
+
+  if (angle >= 0) {
+    const overhangRun = overhangHeight * Math.sin(radians);
+
+    // A solid section protruding out one end of the base joins it to the angled portion
+    if (angle <= 90) {
+      parts.push(cuboid({
+        size: [overhangRun + wallPlay, baseLength, baseHeight],
+        center: [((baseWidth + overhangRun) / 2) + wallPlay / 2, 0, baseHeight / 2]
+      }));
+    }
+
+    const hinged = translate([baseWidth / 2 + overhangRun + wallPlay, 0, baseHeight],
+      rotateY(radians, translate([overhangWidth / 2, 0, -overhangHeight], overhang)));
+
+    // Remove everything above the top of the base, and everything over the base itself
+    const aboveBase = cuboid({
+      size: [baseWidth + (overhangRun * 2) + 0.01, clearLength, overhangWidth],
+      center: [0, 0, baseHeight + overhangWidth / 2]
+    });
+    const overBase = cuboid({
+      size: [baseWidth, clearLength, baseHeight * 10],
+      center: [0, 0, baseHeight / 2]
+    });
+    parts.push(subtract(hinged, aboveBase, overBase));
+  } else {
+    parts.push(translate([baseWidth / 2 + wallPlay, 0, 0],
+      rotate([Math.PI, -radians, Math.PI], translate([-overhangWidth / 2, 0, -baseHeight + overhangHeight], overhang))));
+
+    // Fill the wedge between the base and the raised overhang
+    if (angle >= -90) {
+      const wedge = extrudeAcrossWidth([
+        [0, 0],
+        [wallPlay, 0],
+        [wallPlay + (baseHeight / Math.tan(-radians)), baseHeight],
+        [0, baseHeight]
+      ], baseLength, -baseLength / 2);
+      parts.push(translate([baseWidth / 2, 0, 0], wedge));
+    }
+  }
+
+  return union(...parts);
+};
+
+// =============================================================================
+// Joints - Hinges and turntables printed as mating halves
+// =============================================================================
+
+const JOINT_CLEARANCE = 0.3;               // Default gap between the moving surfaces of a joint
+
+/**
+ * Cylinder of the given radius around a hinge axis running along Y at height z,
+ * spanning y0 to y1
+ */
+const createAxisCylinder = (radius, y0, y1, z, segments) =>
+  translate([0, (y0 + y1) / 2, z], rotateX(Math.PI / 2, cylinder({ radius, height: y1 - y0, segments })));
+
+/**
+ * Hinge plates: two 1xN plates (1x2 by default) joined end to end by a knuckle hinge
+ * across their width. The fixed half carries the two outer knuckles and the pin between
+ * them; the moving half carries the middle knuckle, bored to turn on the pin.
+ * Every moving surface is kept `clearance` mm apart. With printInPlace the halves are
+ * printed assembled; without it the middle knuckle is slotted underneath, so the halves
+ * print separately and snap together. Positive angles fold the moving half up; it swings
+ * freely from about -60 to 50 degrees, past which the plates meet.
+ * Any other block() params (brand, studRescale, tolerances, ...) are passed to both plates.
+ * Returns [fixed, moving], positioned as assembled.
+ */
+const hingePlate = (params = {}) => {
+  const {
+    length = 2,
+    angle = 0,
+    clearance = JOINT_CLEARANCE,
+    printInPlace = true,
+    segments = 64,
+    ...blockParams
+  } = params;
+
+  if (!(clearance > 0)) throw new Error(`Hinge clearance must be positive, got ${clearance}`);
+
+  const dims = getBrandDimensions(blockParams.brand, blockParams.tolerances);
+  const { wallPlay } = dims;
+  const plateHeight = dims.blockHeight / 3;
+  const overallLength = (length * dims.studSpacing) - (wallPlay * 2);
+  const halfWidth = (dims.studSpacing / 2) - wallPlay;
+
+  // Knuckles are as thick as the plates, with the hinge axis halfway up their ends
+  const radius = plateHeight / 2;
+  const pinRadius = radius / 2;
+  const band = halfWidth / 2;
+  const outerBands = [[-halfWidth, -halfWidth + band], [halfWidth - band, halfWidth]];
+  const middleBand = [-halfWidth + band + clearance, halfWidth - band - clearance];
+  const knuckle = (r, [y0, y1]) => createAxisCylinder(r, y0, y1, radius, segments);
+
+  const plate = block({ ...blockParams, type: 'brick', width: 1, length, height: 1/3, segments });
+  const offset = (overallLength / 2) + wallPlay;
+
+  // Fixed half: notched where the middle knuckle turns, then the outer knuckles and the pin
+  const fixed = union(
+    subtract(translate([-offset, 0, 0], plate), knuckle(radius + clearance, [middleBand[0] - clearance, middleBand[1] + clearance])),
+    ...outerBands.map(range => knuckle(radius, range)),
+    knuckle(pinRadius, [outerBands[0][1] - 0.01, outerBands[1][0] + 0.01])
+  );
+
+  // Moving half: notched where the outer knuckles turn, then the middle knuckle and its bore
+  let moving = union(
+    subtract(translate([offset, 0, 0], plate),
+      knuckle(radius + clearance, [-halfWidth - 0.01, outerBands[0][1] + clearance]),
+      knuckle(radius + clearance, [outerBands[1][0] - clearance, halfWidth + 0.01])),
+    knuckle(radius, middleBand)
+  );
+  moving = subtract(moving, knuckle(pinRadius + clearance, [middleBand[0] - 0.01, middleBand[1] + 0.01]));
+
+  // A slot up to the axis, narrower than the pin, lets the knuckle snap over it
+  if (!printInPlace) {
+    moving = subtract(moving, cuboid({
+      size: [pinRadius * 1.6, middleBand[1] - middleBand[0] + 0.02, radius + 0.01],
+      center: [0, 0, (radius - 0.01) / 2]
+    }));
+  }
+
+  if (angle) {
+    moving = translate([0, 0, radius], rotateY(-degToRad(angle), translate([0, 0, -radius], moving)));
+  }
+
+  return [fixed, moving];
+};
+
+/**
+ * Turntable: a 2x2 tile base with a flanged spindle, and a closed 2x2 plate on top that
+ * turns on it. The top has a bore for the spindle's neck and a pocket above it for the
+ * flange, so it is captive once printed; all moving surfaces are kept `clearance` mm apart.
+ * The pair is exactly two plates tall, so the top's studs stay on the grid.
+ * Any other block() params (brand, studRescale, tolerances, ...) are passed to both halves.
+ * Returns [base, top], positioned as assembled, with the top turned by angle degrees.
+ */
+const turntable = (params = {}) => {
+  const {
+    angle = 0,
+    clearance = JOINT_CLEARANCE,
+    segments = 64,
+    ...blockParams
+  } = params;
+
+  if (!(clearance > 0)) throw new Error(`Turntable clearance must be positive, got ${clearance}`);
+
+  const dims = getBrandDimensions(blockParams.brand, blockParams.tolerances);
+  const plateHeight = dims.blockHeight / 3;
+  const neckRadius = dims.studSpacing * 3 / 16;
+  const flangeRadius = dims.studSpacing * 0.35;
+
+  // Stacked inside the top: floor, gap, flange, gap, roof
+  const floorThickness = plateHeight / 5;
+  const flangeThickness = plateHeight / 5;
+  const topBottom = plateHeight + clearance;
+  const flangeBottom = topBottom + floorThickness + clearance;
+  const pocketTop = flangeBottom + flangeThickness + clearance;
+  const roofThickness = (plateHeight * 2) - pocketTop;
+  if (roofThickness < dims.roofThickness / 2) {
+    const maxClearance = ((plateHeight - floorThickness - flangeThickness - (dims.roofThickness / 2)) / 3).toFixed(2);
+    throw new Error(`Turntable clearance ${clearance} leaves no room for the flange (at most ${maxClearance})`);
+  }
+
+  const column = (radius, z0, z1) => cylinder({ radius, height: z1 - z0, center: [0, 0, (z0 + z1) / 2], segments });
+
+  const base = union(
+    block({ ...blockParams, type: 'tile', width: 2, length: 2, height: 1/3, segments }),
+    column(neckRadius, plateHeight - 0.01, flangeBottom + 0.01),
+    column(flangeRadius, flangeBottom, flangeBottom + flangeThickness)
+  );
+
+  // The top sits on the base with its underside raised by the clearance
+  const size = (2 * dims.studSpacing) - (2 * dims.wallPlay);
+  let top = subtract(
+    translate([0, 0, plateHeight], block({ ...blockParams, type: 'brick', bottomType: 'closed', width: 2, length: 2, height: 1/3, segments })),
+    cuboid({ size: [size + 0.02, size + 0.02, clearance + 0.01], center: [0, 0, plateHeight + (clearance - 0.01) / 2] }),
+    column(neckRadius + clearance, topBottom - 0.02, flangeBottom - clearance + 0.01),
+    column(flangeRadius + clearance, flangeBottom - clearance, pocketTop)
+  );
+
+  if (angle) top = rotateZ(degToRad(angle), top);
+
+  return [base, top];
+};
+
+// =============================================================================
+// Calibration - Test prints for finding studRescale
+// =============================================================================
+
+const CALIBRATION_GAP = 4;                 // Space between samples on the sheet
+const CALIBRATION_TEXT_DEPTH = 0.6;        // Depth of engraved labels
 
-  // Calculate overall dimensions in mm
-  // Baseplates use different height unit (1.3mm vs 9.6mm)
-  const blockHeightUnit = computeBlockHeightUnit(type);
-  const overallLength = (realLength * STUD_SPACING) - (2 * WALL_PLAY);
-  const overallWidth = (realWidth * STUD_SPACING) - (2 * WALL_PLAY);
-  const blockHeightMm = realHeight * blockHeightUnit;
+/**
+ * Count the decimals needed to print a value exactly (at least 2, so 1 reads as 1.00)
+ */
+const countDecimals = (value) => Math.max(2, (String(value).split('.')[1] || '').length);
 
-  // Baseplates are always solid (closed bottom)
-  const effectiveBottomType = type === 'baseplate' ? 'closed' : bottomType;
+/**
+ * Socket for testing the underside's grip: an open 2x2 plate built by block() with the given
+ * postDiameter tolerance, labelled with it on top, for pressing onto a real brick's studs
+ */
+const createCalibrationSocket = (dims, postDiameter, label, blockParams) => {
+  const size = (2 * dims.studSpacing) - (2 * dims.wallPlay);
+  const { tolerances = null } = blockParams;
+  const baseTolerances = typeof tolerances === 'string' ? { preset: tolerances } : (tolerances || {});
+  return block({
+    ...blockParams,
+    type: 'tile', width: 2, length: 2, height: 1/3, bottomType: 'open',
+    tolerances: { ...baseTolerances, postDiameter },
+    text: label, textFace: 'top', textSize: size * 0.25, textDepth: CALIBRATION_TEXT_DEPTH
+  });
+};
 
-  // Build the brick parts
-  const parts = [];
+/**
+ * Calibration sheet: one printable plate of 2x2 test bricks, each with a different studRescale
+ * engraved on its front, and (optionally) an anti-stud socket in front of each one with the
+ * postDiameter tolerance engraved on top. Print it, try the samples against real bricks, and
+ * read off the studRescale and postDiameter that fit best.
+ *
+ * Pass values explicitly, or a from/to/step range. Other block() params (brand, studType,
+ * segments, ...) apply to every sample.
+ */
+const calibrationSheet = (params = {}) => {
+  const {
+    from = 0.98,
+    to = 1.06,
+    step = 0.01,
+    values = null,
+    columns = 5,
+    sockets = true,
+    segments = 32,
+    ...blockParams
+  } = params;
 
-  // 1. Main body
-  parts.push(createBlockBody(overallLength, overallWidth, blockHeightMm, effectiveBottomType));
+  const scales = values || Array.from({ length: Math.floor(((to - from) / step) + 1e-9) + 1 },
+    (_, i) => Math.round((from + i * step) * 1e6) / 1e6);
+  if (scales.length === 0) throw new Error('calibrationSheet needs at least one studRescale value');
+  const decimals = Math.max(...scales.map(countDecimals));
+
+  const dims = getBrandDimensions(blockParams.brand, blockParams.tolerances);
+  const size = (2 * dims.studSpacing) - (2 * dims.wallPlay);
+  const sampleParams = { ...blockParams, segments };
+  const rowPitch = (size + CALIBRATION_GAP) * (sockets ? 2 : 1);
+
+  const samples = scales.map((studRescale, i) => {
+    const label = studRescale.toFixed(decimals);
+    const x = (i % columns) * (size + CALIBRATION_GAP);
+    const y = -Math.floor(i / columns) * rowPitch;
+
+    const brick = block({
+      ...sampleParams,
+      type: 'brick', width: 2, length: 2, height: 1, studRescale,
+      text: label, textFace: 'front', textSize: dims.blockHeight * 0.4, textDepth: CALIBRATION_TEXT_DEPTH
+    });
+    const parts = [translate([x, y, 0], brick)];
+
+    // Each socket's post grows by as much as its brick's studs, so both rows run from loose to tight
+    if (sockets) {
+      const postDiameter = Math.round((dims.postDiameter + ((studRescale - 1) * dims.studDiameter)) * 100) / 100;
+      const socket = createCalibrationSocket(dims, postDiameter, postDiameter.toFixed(2), sampleParams);
+      parts.push(translate([x, y - (size + CALIBRATION_GAP), 0], socket));
+    }
+    return parts;
+  });
 
-  // 2. Studs (unless tile type)
-  if (type !== 'tile') {
-    parts.push(createStuds(realWidth, realLength, blockHeightMm, studType, studRescale, segments, studTopRoundness));
+  return union(...samples.flat());
+};
+
+// =============================================================================
+// Assemblies - Declarative multi-brick models
+// =============================================================================
+
+/**
+ * Resolve an assembly colour: a CSS name ('red'), hex string ('#ff0000') or [r, g, b(, a)] in 0-1
+ */
+const resolveColor = (color) => {
+  if (Array.isArray(color)) return color;
+  if (typeof color === 'string') {
+    const rgb = color.startsWith('#') ? hexToRgb(color) : colorNameToRgb(color);
+    if (!rgb) throw new Error(`Unknown color: ${color}`);
+    return rgb;
   }
+  throw new Error(`Invalid color: ${color}`);
+};
 
-  // 3. Interior features (only for open bottom, not baseplates)
-  if (effectiveBottomType === 'open') {
-    // Wall splines
-    if (includeSplines) {
-      const splines = createSplines(realWidth, realLength, blockHeightMm, overallLength, overallWidth);
-      if (splines) parts.push(splines);
+/**
+ * Flatten an assembly spec into absolute placements
+ *
+ * An assembly is { brand, parts: [...] } (or just the parts array). Each part is either
+ *   { block: { ...block() params }, at: [x, y, z], rotation: 0 | 90 | 180 | 270, color }
+ * or a group, positioned relative to its parent like nested stack() calls:
+ *   { at: [x, y, z], color, parts: [...] }
+ * x and y are in studs as place() takes them (x along Y, y along X), z is in plates (1/3 brick).
+ *
+ * Returns [{ params, at, rotation, color }] with absolute positions and the brand filled in.
+ */
+const flattenAssembly = (spec) => {
+  const { brand = 'lego', parts = [] } = Array.isArray(spec) ? { parts: spec } : spec;
+  const placements = [];
+
+  const visit = (entries, offset, inheritedColor, path) => {
+    entries.forEach((entry, index) => {
+      const where = path.concat(index).join('.');
+      const [x = 0, y = 0, z = 0] = entry.at || [];
+      const at = [offset[0] + x, offset[1] + y, offset[2] + z];
+      const color = entry.color !== undefined ? entry.color : inheritedColor;
+
+      if (entry.parts) {
+        visit(entry.parts, at, color, path.concat(index));
+      } else if (entry.block) {
+        const rotation = ((entry.rotation || 0) % 360 + 360) % 360;
+        if (rotation % 90 !== 0) {
+          throw new Error(`Assembly part ${where}: rotation must be a multiple of 90 degrees, got ${entry.rotation}`);
+        }
+        placements.push({ params: { brand, ...entry.block }, at, rotation, color });
+      } else {
+        throw new Error(`Assembly part ${where} needs either a block or parts`);
+      }
+    });
+  };
+
+  visit(parts, [0, 0, 0], undefined, []);
+  return placements;
+};
+
+/**
+ * Position a block geometry for a placement: rotate about its center, centre it on its
+ * footprint's grid cells, then move it with place(). The offset is whole grid cells, so
+ * studs line up whatever wallPlay a part was built with.
+ */
+const placeBlock = (placement, geometry) => {
+  const { params, at, rotation } = placement;
+  const { brand = 'lego', type = 'brick', width = 2, length = 4 } = params;
+  const { realWidth, realLength } = computeRealFootprint(type, width, length);
+  const quarterTurns = rotation / 90;
+  const turned = quarterTurns % 2 === 1;
+  const { studSpacing } = getBrandDimensions(brand);
+
+  const rotated = quarterTurns ? rotateZ(degToRad(rotation), geometry) : geometry;
+  const anchored = translate([
+    (studSpacing * (turned ? realWidth : realLength)) / 2,
+    (studSpacing * (turned ? realLength : realWidth)) / 2,
+    0
+  ], rotated);
+  return place(at[0], at[1], at[2] / 3, anchored, brand);
+};
+
+/**
+ * Build and position one placement's block, coloured if it has a colour
+ */
+const buildPlacement = (placement, params = placement.params) => {
+  const geometry = placeBlock(placement, block(params));
+  return placement.color !== undefined ? colorize(resolveColor(placement.color), geometry) : geometry;
+};
+
+/**
+ * Build every block in an assembly spec (see flattenAssembly) as a separately coloured geometry,
+ * so the JSCAD viewer shows a multi-colour model
+ */
+const buildAssembly = (spec) => {
+  return flattenAssembly(spec).map(placement => buildPlacement(placement));
+};
+
+// =============================================================================
+// Assembly Validation - Overlaps, support and connectivity on the stud grid
+// =============================================================================
+
+const GRID_TOLERANCE = 0.01;               // mm; faces closer than this touch, boxes must overlap by more
+
+/**
+ * Describe a placement on the grid, in assembly (mm) coordinates: its nominal body box,
+ * what its top and bottom faces carry ('studs', 'anti-studs' or 'flat'), the centers
+ * of the stud or anti-stud cells on each face, and the cells whose roof is at full height
+ * (not cut away by a slope or curve). Studs come from the same skip rules block() uses,
+ * so slopes, wings, roadways and stud masks are accounted for.
+ */
+const describePlacementGrid = (placement) => {
+  const { params, at, rotation } = placement;
+  const { brand = 'lego', type = 'brick', bottomType = 'open' } = params;
+  const dims = getBrandDimensions(brand);
+  const spacing = dims.studSpacing;
+  const layout = computeBlockLayout(params);
+  const { realWidth, realLength, realHeight, topCut, wing, rounding, skipStud, realDualSided, realDualBottom } = layout;
+
+  const quarterTurns = rotation / 90;
+  const turned = quarterTurns % 2 === 1;
+  const spanX = (turned ? realWidth : realLength) * spacing;
+  const spanY = (turned ? realLength : realWidth) * spacing;
+  const minX = at[1] * spacing;
+  const minY = at[0] * spacing;
+  const minZ = (at[2] / 3) * dims.blockHeight;
+  const heightMm = realHeight * computeBlockHeightUnit(dims, type) * (realDualBottom ? 2 : 1);
+
+  // Grid cell (x along length, y along width) to its center, turned with the block
+  const cellCenter = (x, y) => {
+    const u = (x + 0.5 - realLength / 2) * spacing;
+    const v = (y + 0.5 - realWidth / 2) * spacing;
+    const [ru, rv] = [[u, v], [-v, u], [-u, -v], [v, -u]][quarterTurns];
+    return [minX + spanX / 2 + ru, minY + spanY / 2 + rv];
+  };
+
+  const bodyCells = [];
+  const studCells = [];
+  const roofCells = [];
+  for (let x = 0; x < realLength; x++) {
+    for (let y = 0; y < realWidth; y++) {
+      if (wing && isStudOutsideWing(wing, realWidth, x, y)) continue;
+      if (rounding && isStudInRoundedCorner(realWidth, realLength, rounding, x, y)) continue;
+      bodyCells.push(cellCenter(x, y));
+      if (!skipStud || !skipStud(x, y)) studCells.push(cellCenter(x, y));
+      if (!topCut || x >= realLength - topCut.studRows) roofCells.push(cellCenter(x, y));
     }
+  }
 
-    // Interior supports
-    if (withPosts) {
-      // Posts (for multi-stud width and length)
-      // If verticalAxleHoles is enabled, posts get cross-shaped holes instead of round hollow
-      const posts = createPosts(realWidth, realLength, blockHeightMm, realHeight, overallLength, overallWidth, segments, verticalAxleHoles);
-      if (posts) parts.push(posts);
+  const top = type === 'tile' ? 'flat' : realDualBottom ? 'anti-studs' : 'studs';
+  const bottom = realDualSided ? 'studs' : (type === 'baseplate' || bottomType === 'closed') ? 'flat' : 'anti-studs';
+  const cellsFor = (face) => face === 'studs' ? studCells : face === 'anti-studs' ? bodyCells : [];
 
-      // Pins (for 1-wide bricks)
-      const pins = createPins(realWidth, realLength, blockHeightMm, overallLength, overallWidth, segments);
-      if (pins) parts.push(pins);
+  return {
+    min: [minX, minY, minZ],
+    max: [minX + spanX, minY + spanY, minZ + heightMm],
+    top,
+    bottom,
+    topCells: cellsFor(top),
+    bottomCells: cellsFor(bottom),
+    roofCells
+  };
+};
 
-      // Reinforcement (optional, not for tiles or baseplates)
-      if (useReinforcement && type !== 'tile' && type !== 'baseplate') {
-        const reinforcement = createReinforcement(realWidth, realLength, blockHeightMm, overallLength, overallWidth, segments);
-        if (reinforcement) parts.push(reinforcement);
+const gridKey = ([x, y]) => `${Math.round(x / GRID_TOLERANCE)},${Math.round(y / GRID_TOLERANCE)}`;
+const gridColumnKey = (x, y) => `${Math.floor(x / STUD_SPACING)},${Math.floor(y / STUD_SPACING)}`;
+
+/**
+ * Bucket placement grids by the stud-sized columns their footprints cover, so neighbours
+ * can be looked up without comparing every pair
+ */
+const bucketGridColumns = (grids) => {
+  const columns = new Map();
+  grids.forEach((grid, index) => {
+    const [x0, y0] = grid.min.map(v => Math.floor((v + GRID_TOLERANCE) / STUD_SPACING));
+    const [x1, y1] = grid.max.map(v => Math.floor((v - GRID_TOLERANCE) / STUD_SPACING));
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        const key = `${x},${y}`;
+        if (!columns.has(key)) columns.set(key, []);
+        columns.get(key).push(index);
       }
     }
+  });
+  return columns;
+};
 
-    // Technic horizontal hole supports (solid cylinders running through brick)
-    if (horizontalHoles && realHeight >= 1) {
-      parts.push(createHorizontalHoleSupports(realLength, Math.floor(realHeight), overallLength, overallWidth, segments));
+/**
+ * Check an assembly (see flattenAssembly) on the stud grid, without building any geometry
+ *
+ * Returns { valid, placements, overlaps, components, unsupported }, where indices refer
+ * to the flattened placements:
+ *   overlaps     [{ a, b, kind }] - 'body' when two bodies share volume, 'stud' when a stud
+ *                pushes into a face that cannot take it (closed bottom, tile top, misaligned)
+ *   components   [[indices]] - groups of bricks held together by stud/anti-stud contact
+ *   unsupported  [indices] - bricks whose component never reaches the ground
+ *                (the lowest brick bottom in the assembly)
+ */
+const validateAssembly = (spec) => {
+  const placements = flattenAssembly(spec);
+  const grids = placements.map(describePlacementGrid);
+  const receptors = grids.map(grid => ({
+    top: new Set(grid.top === 'anti-studs' ? grid.topCells.map(gridKey) : []),
+    bottom: new Set(grid.bottom === 'anti-studs' ? grid.bottomCells.map(gridKey) : [])
+  }));
+
+  const columns = bucketGridColumns(grids);
+
+  const overlaps = [];
+  const reported = new Set();
+  const report = (a, b, kind) => {
+    const [lo, hi] = a < b ? [a, b] : [b, a];
+    const key = `${lo},${hi},${kind}`;
+    if (reported.has(key)) return;
+    reported.add(key);
+    overlaps.push({ a: lo, b: hi, kind });
+  };
+
+  // Volumetric overlaps between bodies sharing a column
+  for (const indices of columns.values()) {
+    for (let i = 0; i < indices.length; i++) {
+      for (let j = i + 1; j < indices.length; j++) {
+        const a = grids[indices[i]];
+        const b = grids[indices[j]];
+        const overlapping = [0, 1, 2].every(axis =>
+          Math.min(a.max[axis], b.max[axis]) - Math.max(a.min[axis], b.min[axis]) > GRID_TOLERANCE);
+        if (overlapping) report(indices[i], indices[j], 'body');
+      }
     }
   }
 
-  // Combine all parts
-  let result = union(...parts);
+  // Union-find over stud/anti-stud connections
+  const parent = placements.map((_, index) => index);
+  const find = (i) => parent[i] === i ? i : (parent[i] = find(parent[i]));
+  const join = (a, b) => { parent[find(a)] = find(b); };
+
+  // Every stud meets whatever face sits flush against it: anti-studs on the same cell connect,
+  // anything else is a collision
+  const checkStuds = (index, studs, z, facing) => {
+    studs.forEach(([x, y]) => {
+      const candidates = columns.get(gridColumnKey(x, y)) || [];
+      candidates.forEach((other) => {
+        if (other === index) return;
+        const grid = grids[other];
+        const faceZ = facing === 'bottom' ? grid.min[2] : grid.max[2];
+        if (Math.abs(faceZ - z) > GRID_TOLERANCE) return;
+        if (x <= grid.min[0] || x >= grid.max[0] || y <= grid.min[1] || y >= grid.max[1]) return;
+        if (receptors[other][facing].has(gridKey([x, y]))) {
+          join(index, other);
+        } else {
+          report(index, other, 'stud');
+        }
+      });
+    });
+  };
+
+  grids.forEach((grid, index) => {
+    if (grid.top === 'studs') checkStuds(index, grid.topCells, grid.max[2], 'bottom');
+    if (grid.bottom === 'studs') checkStuds(index, grid.bottomCells, grid.min[2], 'top');
+  });
 
-  // 4. Subtract Technic horizontal holes (after union, so holes cut through everything)
-  // For baseplates, require height >= 8 (matching OpenSCAD)
-  const horizontalHolesMinHeight = type === 'baseplate' ? 8 : 1;
-  if (horizontalHoles && realHeight >= horizontalHolesMinHeight) {
-    result = subtract(result, createHorizontalHoles(realLength, Math.floor(realHeight), overallLength, overallWidth, segments));
+  const groups = new Map();
+  placements.forEach((_, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(index);
+  });
+  const components = [...groups.values()];
+
+  const ground = Math.min(...grids.map(grid => grid.min[2]));
+  const unsupported = components
+    .filter(component => !component.some(index => grids[index].min[2] - ground <= GRID_TOLERANCE))
+    .flat()
+    .sort((a, b) => a - b);
+
+  return {
+    valid: overlaps.length === 0 && unsupported.length === 0,
+    placements,
+    overlaps,
+    components,
+    unsupported
+  };
+};
+
+// =============================================================================
+// Assembly Compiler - Printable fused, per-layer or per-part output
+// =============================================================================
+
+/**
+ * Find the placements whose anti-stud cavity is completely closed off by full-height roofs
+ * directly below it, so a fused print can build them solid
+ */
+const findBuriedPlacements = (grids) => {
+  const columns = bucketGridColumns(grids);
+  const roofs = grids.map(grid => new Set(grid.roofCells.map(gridKey)));
+
+  return grids.map((grid, index) => grid.bottom === 'anti-studs' && grid.bottomCells.every(([x, y]) =>
+    (columns.get(gridColumnKey(x, y)) || []).some(other => other !== index &&
+      Math.abs(grids[other].max[2] - grid.min[2]) <= GRID_TOLERANCE &&
+      roofs[other].has(gridKey([x, y])))));
+};
+
+/**
+ * Compile an assembly (see flattenAssembly) into printable geometry
+ *
+ * Modes:
+ *   'fuse'   - one solid; bricks sitting fully on other bricks are built with a closed bottom,
+ *              so their buried cavities are filled and no posts, pins or splines are generated
+ *   'layers' - one geometry per BLOCK_HEIGHT layer, each holding the bricks that start in it
+ *   'parts'  - every brick as its own (coloured) geometry, like buildAssembly()
+ *
+ * Always returns an array of geometries.
+ */
+const compileAssembly = (spec, mode = 'fuse') => {
+  const placements = flattenAssembly(spec);
+
+  if (mode === 'parts') {
+    return placements.map(placement => buildPlacement(placement));
   }
 
-  // 5. Subtract vertical axle holes through the roof (posts already have holes, but need to cut roof too)
-  if (verticalAxleHoles && realWidth > 1 && realLength > 1 && type !== 'baseplate') {
-    result = subtract(result, createVerticalAxleHoleSubtractions(realWidth, realLength, realHeight, overallLength, overallWidth));
+  if (mode === 'fuse') {
+    if (placements.length === 0) return [];
+    const buried = findBuriedPlacements(placements.map(describePlacementGrid));
+    const placed = placements.map((placement, index) => {
+      const params = buried[index] ? { ...placement.params, bottomType: 'closed' } : placement.params;
+      return placeBlock(placement, block(params));
+    });
+    return [stack(0, 0, 0, ...placed)];
   }
 
-  // 6. Subtract rounded corners for baseplates
-  if (type === 'baseplate') {
-    const cornerSubtractions = createBaseplateCornerSubtractions(overallLength, overallWidth, blockHeightMm, segments);
-    result = subtract(result, cornerSubtractions);
+  if (mode === 'layers') {
+    const layers = new Map();
+    placements.forEach((placement) => {
+      const layer = Math.floor(placement.at[2] / 3);
+      if (!layers.has(layer)) layers.set(layer, []);
+      layers.get(layer).push(placeBlock(placement, block(placement.params)));
+    });
+    return [...layers.keys()].sort((a, b) => a - b).map(layer => stack(0, 0, 0, ...layers.get(layer)));
   }
 
-  // Center on X/Y axes (matching OpenSCAD LEGO.scad behavior)
-  result = translate([-overallLength / 2, -overallWidth / 2, 0], result);
+  throw new Error(`Unknown assembly mode: ${mode} (expected fuse, layers or parts)`);
+};
 
-  return result;
+// =============================================================================
+// Brickify - Heightmaps and voxel grids to brick placements
+// =============================================================================
+
+// Standard footprints, [width, length] with width <= length, tried largest first
+const BRICKIFY_SIZES = [
+  [2, 8], [2, 6], [1, 8], [2, 4], [1, 6], [2, 3], [1, 4], [2, 2], [1, 3], [1, 2], [1, 1]
+];
+
+/**
+ * Read a greyscale PGM image (ASCII P2 or binary P5) into rows of values scaled to 0-1
+ */
+const parsePGM = (data) => {
+  // Plain byte arrays rather than Buffer, so this also runs in the JSCAD web UI
+  const bytes = typeof data === 'string' ? Uint8Array.from(data, char => char.charCodeAt(0) & 0xff) : data;
+  let offset = 0;
+
+  // Header tokens are separated by whitespace, with # comments running to the end of the line
+  const readToken = () => {
+    let token = '';
+    while (offset < bytes.length) {
+      const char = String.fromCharCode(bytes[offset]);
+      if (char === '#' && token === '') {
+        while (offset < bytes.length && bytes[offset] !== 10) offset++;
+      } else if (/\s/.test(char)) {
+        offset++;
+        if (token) return token;
+      } else {
+        token += char;
+        offset++;
+      }
+    }
+    return token;
+  };
+
+  const magic = readToken();
+  if (magic !== 'P2' && magic !== 'P5') throw new Error(`Not a greyscale PGM image (magic ${magic || 'missing'})`);
+  const [width, height, maxValue] = [readToken(), readToken(), readToken()].map(Number);
+  if (!(width > 0 && height > 0 && maxValue > 0)) throw new Error('Invalid PGM header');
+
+  const sampleBytes = maxValue > 255 ? 2 : 1;
+  const readSample = () => {
+    if (magic === 'P2') return Number(readToken());
+    const value = sampleBytes === 2 ? (bytes[offset] << 8) | bytes[offset + 1] : bytes[offset];
+    offset += sampleBytes;
+    return value;
+  };
+
+  const rows = [];
+  for (let y = 0; y < height; y++) {
+    const row = [];
+    for (let x = 0; x < width; x++) {
+      if (offset >= bytes.length) throw new Error('PGM image data is truncated');
+      row.push(readSample() / maxValue);
+    }
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Turn brickify input into voxel layers: layers[z][row][col] is true where a brick goes
+ */
+const computeBrickifyLayers = (input, maxHeight) => {
+  const isPGM = typeof input === 'string' || input instanceof Uint8Array;
+  const heightmap = isPGM ? parsePGM(input).map(row => row.map(value => Math.round(value * maxHeight))) : input;
+  if (!Array.isArray(heightmap)) throw new Error('brickify expects a heightmap, voxel array or PGM image');
+
+  // 3D voxel arrays are already layered
+  if (heightmap.some(row => Array.isArray(row) && row.some(Array.isArray))) {
+    return heightmap.map(layer => layer.map(row => row.map(Boolean)));
+  }
+
+  const top = Math.max(0, ...heightmap.map(row => Math.max(0, ...row.map(value => Math.floor(value) || 0))));
+  return Array.from({ length: top }, (_, z) => heightmap.map(row => row.map(value => value > z)));
+};
+
+/**
+ * Greedily cover one layer's cells with the largest standard bricks, scanning from one corner
+ * Odd layers are transposed, so their bricks prefer the other orientation and their seams
+ * cross the ones below
+ */
+const mergeBrickifyLayer = (cells, transpose, sizes) => {
+  const rows = cells.length;
+  const cols = Math.max(0, ...cells.map(row => row.length));
+  const used = cells.map(row => row.map(() => false));
+  const free = (r, c) => r < rows && c < cols && Boolean(cells[r][c]) && !used[r][c];
+
+  const fits = (r, c, spanRows, spanCols) => {
+    for (let dr = 0; dr < spanRows; dr++) {
+      for (let dc = 0; dc < spanCols; dc++) {
+        if (!free(r + dr, c + dc)) return false;
+      }
+    }
+    return true;
+  };
+
+  const rects = [];
+  const [outer, inner] = transpose ? [cols, rows] : [rows, cols];
+  for (let i = 0; i < outer; i++) {
+    for (let j = 0; j < inner; j++) {
+      const [r, c] = transpose ? [j, i] : [i, j];
+      if (!free(r, c)) continue;
+
+      // Each size in the preferred orientation first (long side across the scan), then turned
+      const shapes = sizes.flatMap(([w, l]) => transpose ? [[l, w], [w, l]] : [[w, l], [l, w]]);
+      const [spanRows, spanCols] = shapes.find(([sr, sc]) => fits(r, c, sr, sc)) || [1, 1];
+      for (let dr = 0; dr < spanRows; dr++) {
+        for (let dc = 0; dc < spanCols; dc++) used[r + dr][c + dc] = true;
+      }
+      rects.push({ row: r, col: c, rows: spanRows, cols: spanCols });
+    }
+  }
+  return rects;
+};
+
+/**
+ * Convert a heightmap or voxel grid into brick placements
+ *
+ * input is one of:
+ *   - a heightmap: heightmap[row][col] = number of layers at that cell
+ *   - a voxel array: voxels[layer][row][col], truthy where a brick goes
+ *   - a greyscale PGM image (string or Uint8Array/Buffer), white = maxHeight layers
+ * Rows run along place()'s x and columns along its y, like assembly positions.
+ *
+ * Options:
+ *   height     - height of each layer in bricks (1 for bricks, 1/3 for plates)
+ *   maxHeight  - layers for a white pixel in a PGM image
+ *   sizes      - [width, length] footprints to use, default 1x1 up to 2x8
+ *   brand      - brand for all bricks
+ *   block      - extra block() params for every brick (studType, segments, ...)
+ *   color      - colour for every brick
+ *   geometry   - set false to skip building the combined geometry
+ *
+ * Returns { assembly, geometry }: the assembly can go to buildAssembly(), validateAssembly()
+ * or compileAssembly(); geometry is every brick placed and unioned.
+ */
+const brickify = (input, options = {}) => {
+  const {
+    height = 1,
+    maxHeight = 4,
+    sizes = BRICKIFY_SIZES,
+    brand = 'lego',
+    block: blockParams = {},
+    color,
+    geometry: withGeometry = true
+  } = options;
+
+  const sortedSizes = sizes
+    .map(([w, l]) => [Math.min(w, l), Math.max(w, l)])
+    .sort((a, b) => (b[0] * b[1]) - (a[0] * a[1]) || b[1] - a[1]);
+  const layers = computeBrickifyLayers(input, maxHeight);
+  const layerPlates = height * 3;
+
+  const parts = [];
+  layers.forEach((cells, z) => {
+    mergeBrickifyLayer(cells, z % 2 === 1, sortedSizes).forEach(({ row, col, rows, cols }) => {
+      // block() puts the longer side along X (columns), so turn bricks that run down the rows
+      const turned = rows > cols;
+      const part = {
+        block: { ...blockParams, width: Math.min(rows, cols), length: Math.max(rows, cols), height },
+        at: [row, col, z * layerPlates],
+        rotation: turned ? 90 : 0
+      };
+      if (color !== undefined) part.color = color;
+      parts.push(part);
+    });
+  });
+
+  const assembly = { brand, parts };
+  if (!withGeometry) return { assembly, geometry: null };
+
+  // Bricks repeat a lot; block() builds each distinct one once and hands back the cached copy
+  const placed = flattenAssembly(assembly).map(placement => placeBlock(placement, block(placement.params)));
+  const geometry = placed.length > 0 ? union(...placed) : null;
+  return { assembly, geometry: geometry && color !== undefined ? colorize(resolveColor(color), geometry) : geometry };
 };
 
 // =============================================================================
-// Positioning Helpers
+// Bill of Materials - Part counts, volume, mass and size
 // =============================================================================
 
-const place = (x, y, z, obj) => {
-  const zPos = z || 0;
-  return translate([STUD_SPACING * y, STUD_SPACING * x, zPos * BLOCK_HEIGHT], obj);
+const PLA_DENSITY = 1.24;                  // g/cm³, default filament density for mass estimates
+
+/**
+ * Format a height as the simplest fraction that is exactly it (2/3, 1/2, 3/2), so parts of
+ * different heights never share a name; heights no fraction up to twelfths matches get decimals
+ */
+const formatHeightLabel = (height) => {
+  for (let denominator = 1; denominator <= 12; denominator++) {
+    const numerator = Math.round(height * denominator);
+    if (Math.abs((numerator / denominator) - height) < RANGE_TOLERANCE) {
+      return denominator === 1 ? `${numerator}` : `${numerator}/${denominator}`;
+    }
+  }
+  return formatParameterValue(height);
 };
 
-const stack = (x, y, z, ...objects) => {
-  return place(x, y, z, union(...objects));
+/**
+ * Canonical human-readable name for a block() part, e.g. "2x4 brick, hollow studs, technic"
+ * Parts that print the same get the same name; print tweaks (studRescale, segments) are ignored.
+ */
+const computePartDescriptor = (params) => {
+  const {
+    brand = 'lego',
+    type = 'brick',
+    studType = 'solid',
+    bottomType = 'open',
+    horizontalHoles = false,
+    verticalAxleHoles = false,
+    useReinforcement = false,
+    wingType = 'full',
+    roadwayWidth = 0,
+    roadwayLength = 0,
+    roadways = [],
+    studMask = null,
+    attachments = []
+  } = params;
+  const { realWidth, realLength, realHeight, topCut, curveType, realDualSided, realDualBottom } = computeBlockLayout(params);
+
+  // Plates and tiles are one plate high, baseplates one baseplate unit, everything else a brick
+  const isPlate = type === 'brick' && Math.abs(realHeight - (1 / 3)) < RANGE_TOLERANCE;
+  const standardHeight = (type === 'tile' || type === 'wing' || isPlate) ? 1 / 3 : 1;
+  const size = `${realWidth}x${realLength}` +
+    (Math.abs(realHeight - standardHeight) < RANGE_TOLERANCE ? '' : `x${formatHeightLabel(realHeight)}`);
+
+  const nouns = {
+    brick: isPlate ? 'plate' : 'brick',
+    curve: `${curveType} curve`,
+    wing: wingType === 'full' ? 'wing' : `${wingType} wing`,
+    round: 'round brick'
+  };
+  const name = `${brand === 'lego' ? '' : `${brand} `}${size} ${nouns[type] || type}`;
+
+  const hasStuds = type !== 'tile' && !realDualBottom;
+  const hasRoadways = (roadwayWidth > 0 && roadwayLength > 0) || roadways.length > 0;
+  const features = [
+    topCut && `${topCut.studRows} stud row${topCut.studRows === 1 ? '' : 's'}`,
+    hasStuds && studType === 'hollow' && 'hollow studs',
+    hasStuds && studMask && 'custom studs',
+    hasRoadways && 'roadway',
+    horizontalHoles && 'technic',
+    verticalAxleHoles && 'axle holes',
+    bottomType === 'closed' && type !== 'baseplate' && !realDualSided && 'closed bottom',
+    useReinforcement && 'reinforced',
+    realDualSided && 'dual-sided',
+    realDualBottom && 'dual-bottom'
+  ];
+
+  // Side attachments, counted by kind; studs on a plate upright make a bracket
+  const countOf = (label, count) => count > 0 && `${count > 1 ? `${count} ` : ''}${label}${count > 1 ? 's' : ''}`;
+  const sideStudCount = attachments
+    .filter(({ kind = 'studs', plate = false }) => kind === 'studs' && !plate)
+    .reduce((sum, { size = [1, 1] }) => sum + (size[0] * size[1]), 0);
+  features.push(
+    countOf('side stud', sideStudCount),
+    countOf('bracket', attachments.filter(({ kind = 'studs', plate = false }) => kind === 'studs' && plate).length),
+    countOf('bar', attachments.filter(({ kind }) => kind === 'bar').length),
+    countOf('clip', attachments.filter(({ kind }) => kind === 'clip').length)
+  );
+  return [name, ...features.filter(Boolean)].join(', ');
 };
 
-const uncenter = (width, length, height, obj) => {
-  const h = height || 0;
-  return translate([
-    ((STUD_SPACING * length) / 2) - WALL_PLAY,
-    ((STUD_SPACING * width) / 2) - WALL_PLAY,
-    h ? ((STUD_SPACING * h) / 2) - WALL_PLAY : 0
-  ], obj);
+const formatCsvField = (value) => {
+  const text = typeof value === 'number' ? String(Math.round(value * 100) / 100) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
 };
 
-const blockHeight = (heightRatio = 1, type = 'brick') => {
-  const realHeight = computeRealHeight(type, heightRatio);
-  return realHeight * BLOCK_HEIGHT;
+/**
+ * Bill of materials for a single block() (pass its params) or an assembly (see flattenAssembly)
+ *
+ * Options:
+ *   density - filament density in g/cm³ for mass estimates (default PLA, 1.24)
+ *   format  - 'json' (default) for an object, 'csv' for one row per part descriptor
+ *
+ * The object holds one entry per descriptor ({ descriptor, count, unitVolume, volume, mass,
+ * size }, volumes in mm³, mass in g, size as the part's own [x, y, z] bounding box in mm)
+ * and a total ({ count, volume, mass, bounds }) with the bounding box of the placed model.
+ */
+const bom = (input, options = {}) => {
+  const { density = PLA_DENSITY, format = 'json' } = options;
+  const isAssembly = Array.isArray(input) || Array.isArray(input.parts);
+  const placements = isAssembly
+    ? flattenAssembly(input)
+    : [{ params: { brand: 'lego', ...input }, at: [0, 0, 0], rotation: 0 }];
+
+  // Build and measure each distinct part once, keyed like the brick cache; parts that cannot
+  // be keyed (a studMask predicate) are measured every time
+  const measured = new Map();
+  const measure = (params) => {
+    const normalized = normalizeCacheValue(params);
+    const key = normalized === undefined ? null : JSON.stringify(normalized);
+    if (key !== null && measured.has(key)) return measured.get(key);
+
+    const geometry = block(params);
+    const [min, max] = measureBoundingBox(geometry);
+    const part = { geometry, volume: measureVolume(geometry), size: max.map((v, i) => v - min[i]) };
+    if (key !== null) measured.set(key, part);
+    return part;
+  };
+
+  const entries = new Map();
+  const bounds = [[Infinity, Infinity, Infinity], [-Infinity, -Infinity, -Infinity]];
+  placements.forEach((placement) => {
+    const part = measure(placement.params);
+    const descriptor = computePartDescriptor(placement.params);
+    if (!entries.has(descriptor)) {
+      entries.set(descriptor, { descriptor, count: 0, volume: 0, size: [0, 0, 0] });
+    }
+    const entry = entries.get(descriptor);
+    entry.count += 1;
+    entry.volume += part.volume;
+    entry.size = entry.size.map((v, i) => Math.max(v, part.size[i]));
+
+    const [min, max] = isAssembly ? measureBoundingBox(placeBlock(placement, part.geometry)) : measureBoundingBox(part.geometry);
+    for (let i = 0; i < 3; i++) {
+      bounds[0][i] = Math.min(bounds[0][i], min[i]);
+      bounds[1][i] = Math.max(bounds[1][i], max[i]);
+    }
+  });
+
+  // mm³ to cm³ for the mass
+  const parts = [...entries.values()].map(({ descriptor, count, volume, size }) => ({
+    descriptor,
+    count,
+    unitVolume: volume / count,
+    volume,
+    mass: (volume / 1000) * density,
+    size
+  }));
+  const totalVolume = parts.reduce((sum, part) => sum + part.volume, 0);
+  const result = {
+    density,
+    parts,
+    total: {
+      count: placements.length,
+      volume: totalVolume,
+      mass: (totalVolume / 1000) * density,
+      bounds: placements.length > 0 ? bounds : null
+    }
+  };
+
+  if (format === 'json') return result;
+  if (format !== 'csv') throw new Error(`Unknown BOM format: ${format} (expected json or csv)`);
+
+  const header = ['descriptor', 'count', 'unit_volume_mm3', 'volume_mm3', 'mass_g', 'size_x_mm', 'size_y_mm', 'size_z_mm'];
+  const rows = parts.map(part => [part.descriptor, part.count, part.unitVolume, part.volume, part.mass, ...part.size]);
+  return [header, ...rows].map(row => row.map(formatCsvField).join(',')).join('\n') + '\n';
+};
+
+// =============================================================================
+// LDraw Import - Convert .ldr/.mpd models into assemblies
+// =============================================================================
+
+const LDU_PER_STUD = 20;                   // LDraw units between stud centers
+const LDU_PER_BRICK = 24;                  // LDraw units in one brick height (without stud)
+
+const ldrawBrick = (width, length, extra = {}) => ({ width, length, height: 1, ...extra });
+const ldrawPlate = (width, length) => ({ width, length, height: 1/3 });
+const ldrawTile = (width, length) => ({ width, length, height: 1/3, type: 'tile' });
+const ldrawTechnic = (length) => ({ width: 1, length, height: 1, horizontalHoles: true });
+
+// Basic parts by LDraw part number. The LDraw origin of these parts is the center of the
+// top face (without studs) and their long side runs along LDraw X.
+const LDRAW_PARTS = {
+  // Bricks
+  3005: ldrawBrick(1, 1), 3004: ldrawBrick(1, 2), 3622: ldrawBrick(1, 3), 3010: ldrawBrick(1, 4),
+  3009: ldrawBrick(1, 6), 3008: ldrawBrick(1, 8), 6111: ldrawBrick(1, 10), 6112: ldrawBrick(1, 12),
+  2465: ldrawBrick(1, 16), 3003: ldrawBrick(2, 2), 3002: ldrawBrick(2, 3), 3001: ldrawBrick(2, 4),
+  2456: ldrawBrick(2, 6), 3007: ldrawBrick(2, 8), 3006: ldrawBrick(2, 10), 2356: ldrawBrick(4, 6),
+  // Plates
+  3024: ldrawPlate(1, 1), 3023: ldrawPlate(1, 2), 3623: ldrawPlate(1, 3), 3710: ldrawPlate(1, 4),
+  3666: ldrawPlate(1, 6), 3460: ldrawPlate(1, 8), 4477: ldrawPlate(1, 10), 60479: ldrawPlate(1, 12),
+  3022: ldrawPlate(2, 2), 3021: ldrawPlate(2, 3), 3020: ldrawPlate(2, 4), 3795: ldrawPlate(2, 6),
+  3034: ldrawPlate(2, 8), 3832: ldrawPlate(2, 10), 2445: ldrawPlate(2, 12), 3031: ldrawPlate(4, 4),
+  3032: ldrawPlate(4, 6), 3035: ldrawPlate(4, 8), 3030: ldrawPlate(4, 10), 3029: ldrawPlate(4, 12),
+  3958: ldrawPlate(6, 6), 3036: ldrawPlate(6, 8), 3033: ldrawPlate(6, 10), 3028: ldrawPlate(6, 12),
+  3456: ldrawPlate(6, 14), 3027: ldrawPlate(6, 16), 3026: ldrawPlate(6, 24), 41539: ldrawPlate(8, 8),
+  92438: ldrawPlate(8, 16),
+  // Tiles
+  '3070a': ldrawTile(1, 1), '3070b': ldrawTile(1, 1), '3069a': ldrawTile(1, 2), '3069b': ldrawTile(1, 2),
+  63864: ldrawTile(1, 3), 2431: ldrawTile(1, 4), 6636: ldrawTile(1, 6), 4162: ldrawTile(1, 8),
+  '3068a': ldrawTile(2, 2), '3068b': ldrawTile(2, 2), 87079: ldrawTile(2, 4),
+  // Technic bricks
+  6541: ldrawTechnic(1), 3700: ldrawTechnic(2), 3701: ldrawTechnic(4), 3894: ldrawTechnic(6),
+  3702: ldrawTechnic(8), 2730: ldrawTechnic(10), 3895: ldrawTechnic(12), 3703: ldrawTechnic(16)
+};
+
+// Common LDraw colour codes (LDConfig.ldr values)
+const LDRAW_COLORS = {
+  0: '#1B2A34', 1: '#1E5AA8', 2: '#00852B', 3: '#069D9F', 4: '#B40000', 5: '#D3359D',
+  6: '#543324', 7: '#8A928D', 8: '#545955', 10: '#58AB41', 14: '#FAC80A', 15: '#F4F4F4',
+  19: '#D7BA8C', 25: '#D67923', 28: '#AA7D55', 70: '#5F3109', 71: '#969696', 72: '#646464',
+  272: '#19325A', 288: '#00451A', 320: '#720012', 484: '#91501C'
+};
+
+/**
+ * Normalize an LDraw file reference ('parts\3001.DAT' -> '3001', 'Sub Model.ldr' -> 'sub model.ldr')
+ */
+const normalizeLDrawName = (name) => {
+  const base = name.trim().toLowerCase().replace(/\\/g, '/').split('/').pop();
+  return base.endsWith('.dat') ? base.slice(0, -4) : base;
+};
+
+/**
+ * Split LDraw text into named files; a plain .ldr becomes a single unnamed main file
+ */
+const splitLDrawFiles = (text) => {
+  const files = new Map();
+  let mainName = null;
+  let current = null;
+
+  text.split(/\r?\n/).forEach((line, index) => {
+    const fileMatch = line.match(/^\s*0\s+FILE\s+(.+?)\s*$/i);
+    if (fileMatch) {
+      current = normalizeLDrawName(fileMatch[1]);
+      if (mainName === null) mainName = current;
+      files.set(current, []);
+    } else if (/^\s*0\s+NOFILE\b/i.test(line)) {
+      current = null;
+    } else {
+      if (current === null && mainName === null) {
+        mainName = '';
+        files.set('', []);
+        current = '';
+      }
+      if (current !== null) files.get(current).push({ text: line, number: index + 1 });
+    }
+  });
+
+  return { files, mainName: mainName === null ? '' : mainName };
+};
+
+const multiplyMatrix3 = (a, b) => [0, 1, 2].map(row => [0, 1, 2].map(col =>
+  a[row][0] * b[0][col] + a[row][1] * b[1][col] + a[row][2] * b[2][col]
+));
+
+const transformPoint3 = (m, p) => m.map(row => row[0] * p[0] + row[1] * p[1] + row[2] * p[2]);
+
+/**
+ * Snap an LDraw rotation matrix to a quarter turn about the vertical axis
+ * Returns the rotation in degrees (about our Z axis) or null if the part is tipped over
+ */
+const snapLDrawRotation = (m) => {
+  const tolerance = 1e-3;
+  // Part X axis in world space, expressed in our frame (x, z, -y)
+  const angle = Math.round(Math.atan2(m[2][0], m[0][0]) / (Math.PI / 2)) * 90;
+  const c = Math.round(Math.cos(degToRad(angle)));
+  const s = Math.round(Math.sin(degToRad(angle)));
+  // The LDraw matrix for that turn: world = R * part, rotating about LDraw Y
+  const expected = [[c, 0, -s], [0, 1, 0], [s, 0, c]];
+  const matches = expected.every((row, i) => row.every((v, j) => Math.abs(v - m[i][j]) < tolerance));
+  return matches ? ((angle % 360) + 360) % 360 : null;
 };
 
-const minimumBlockCount = (lengthMm) => {
-  return Math.ceil((lengthMm / STUD_SPACING) - WALL_PLAY);
+/**
+ * Parse an LDraw model (.ldr, or .mpd with submodels) into an assembly for buildAssembly()
+ *
+ * Type-1 references to catalogued parts become blocks; LDU positions are converted with
+ * STUD_SPACING and BLOCK_HEIGHT, and rotations are snapped to 90 degree turns.
+ * The model is moved up or down so its lowest part sits on z = 0.
+ * Parts that aren't in the catalog, or that aren't upright, are listed in `unknown`.
+ *
+ * @param {string} text - Contents of the .ldr or .mpd file
+ * @param {Object} options - { parts: extra part number -> block() params mappings }
+ * @returns {{ assembly: Object, unknown: Array<{ part, line, reason }> }}
+ */
+const parseLDraw = (text, options = {}) => {
+  const catalog = { ...LDRAW_PARTS, ...(options.parts || {}) };
+  const { files, mainName } = splitLDrawFiles(text);
+  const parts = [];
+  const unknown = [];
+  const mmPerLdu = STUD_SPACING / LDU_PER_STUD;
+  const plateHeightMm = BLOCK_HEIGHT / 3;
+
+  const visit = (fileName, matrix, offset, parentColor, stack) => {
+    files.get(fileName).forEach(({ text: line, number }) => {
+      const tokens = line.trim().split(/\s+/);
+      if (tokens[0] !== '1' || tokens.length < 15) return;
+
+      const nums = tokens.slice(1, 14).map(Number);
+      const colorCode = nums[0] === 16 ? parentColor : nums[0];
+      const localOffset = nums.slice(1, 4);
+      const localMatrix = [nums.slice(4, 7), nums.slice(7, 10), nums.slice(10, 13)];
+      const worldMatrix = multiplyMatrix3(matrix, localMatrix);
+      const worldOffset = transformPoint3(matrix, localOffset).map((v, i) => v + offset[i]);
+      const reference = tokens.slice(14).join(' ');
+      const name = normalizeLDrawName(reference);
+
+      if (files.has(name) && name !== fileName) {
+        if (stack.includes(name)) {
+          unknown.push({ part: reference, line: number, reason: 'recursive submodel reference' });
+        } else {
+          visit(name, worldMatrix, worldOffset, colorCode, stack.concat(name));
+        }
+        return;
+      }
+
+      const params = catalog[name];
+      if (!params) {
+        unknown.push({ part: reference, line: number, reason: 'unknown part' });
+        return;
+      }
+
+      const rotation = snapLDrawRotation(worldMatrix);
+      if (rotation === null) {
+        unknown.push({ part: reference, line: number, reason: 'not upright (only quarter turns about the vertical axis are supported)' });
+        return;
+      }
+
+      // The part origin is the center of its top face; LDraw -Y is up
+      const { realWidth, realLength } = computeRealFootprint(params.type, params.width, params.length);
+      const turned = (rotation / 90) % 2 === 1;
+      const spanX = turned ? realWidth : realLength;
+      const spanY = turned ? realLength : realWidth;
+      const heightLdu = computeRealHeight(params.type, params.height) * LDU_PER_BRICK;
+      const centerX = (worldOffset[0] * mmPerLdu) / STUD_SPACING;
+      const centerY = (worldOffset[2] * mmPerLdu) / STUD_SPACING;
+      const bottomZ = (-(worldOffset[1] + heightLdu) * (BLOCK_HEIGHT / LDU_PER_BRICK)) / plateHeightMm;
+      const clean = (v) => Math.round(v * 1e6) / 1e6 + 0;
+
+      const part = {
+        block: { ...params },
+        // place() takes x along Y and y along X
+        at: [clean(centerY - spanY / 2), clean(centerX - spanX / 2), clean(bottomZ)],
+        rotation
+      };
+      if (LDRAW_COLORS[colorCode] !== undefined) part.color = LDRAW_COLORS[colorCode];
+      parts.push(part);
+    });
+  };
+
+  if (files.has(mainName)) {
+    visit(mainName, [[1, 0, 0], [0, 1, 0], [0, 0, 1]], [0, 0, 0], 16, [mainName]);
+  }
+
+  // Rest the model on the ground
+  const groundZ = Math.min(...parts.map(part => part.at[2]));
+  parts.forEach(part => { part.at[2] = Math.round((part.at[2] - groundZ) * 1e6) / 1e6; });
+
+  return { assembly: { brand: 'lego', parts }, unknown };
 };
 
 // =============================================================================
@@ -768,12 +3732,33 @@ const main = (params) => {
 module.exports = {
   main,
   getParameterDefinitions,
+  validateParams,
+  ParameterError,
   block,
   place,
   stack,
   uncenter,
   blockHeight,
   minimumBlockCount,
+  describe,
+  fitBlock,
+  anglePlate,
+  hingePlate,
+  turntable,
+  calibrationSheet,
+  buildAssembly,
+  flattenAssembly,
+  validateAssembly,
+  compileAssembly,
+  brickify,
+  bom,
+  computePartDescriptor,
+  parseLDraw,
+  getBrandDimensions,
+  clearGeometryCache,
+  TOLERANCE_PRESETS,
+  LEGO_DIMENSIONS,
+  DUPLO_DIMENSIONS,
   STUD_SPACING,
   STUD_DIAMETER,
   STUD_HEIGHT,
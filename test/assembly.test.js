@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAssembly, buildAssembly, flattenAssembly, compileAssembly } = require('../lego.js');
+const { measureVolume } = require('@jscad/modeling').measurements;
+
+const brick = (at, params = {}) => ({ block: { width: 2, length: 4, ...params }, at });
+
+test('validateAssembly accepts a brick stacked on studs', () => {
+  const result = validateAssembly({ parts: [brick([0, 0, 0]), brick([0, 0, 3])] });
+  assert.equal(result.valid, true);
+  assert.deepEqual(result.overlaps, []);
+  assert.deepEqual(result.components, [[0, 1]]);
+  assert.deepEqual(result.unsupported, []);
+});
+
+test('validateAssembly reports bodies sharing volume', () => {
+  const result = validateAssembly({ parts: [brick([0, 0, 0]), brick([1, 0, 0])] });
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.overlaps, [{ a: 0, b: 1, kind: 'body' }]);
+});
+
+test('validateAssembly reports studs pushing into a closed bottom', () => {
+  const result = validateAssembly({ parts: [brick([0, 0, 0]), brick([0, 0, 3], { bottomType: 'closed' })] });
+  assert.deepEqual(result.overlaps, [{ a: 0, b: 1, kind: 'stud' }]);
+  assert.deepEqual(result.unsupported, [1]);
+});
+
+test('validateAssembly reports parts with nothing holding them up', () => {
+  const floating = validateAssembly({ parts: [brick([0, 0, 0]), brick([0, 10, 6])] });
+  assert.equal(floating.valid, false);
+  assert.deepEqual(floating.unsupported, [1]);
+
+  // A tile has no studs, so a brick on it is not connected
+  const onTile = validateAssembly({ parts: [brick([0, 0, 0], { type: 'tile' }), brick([0, 0, 3])] });
+  assert.deepEqual(onTile.components, [[0], [1]]);
+  assert.deepEqual(onTile.unsupported, [1]);
+});
+
+test('flattenAssembly offsets group parts and passes colours down', () => {
+  const placements = flattenAssembly({ parts: [
+    { at: [0, 0, 1], color: 'blue', parts: [
+      { block: { width: 1, length: 2 } },
+      { block: { width: 1, length: 2 }, at: [1, 0, 3], rotation: 90, color: 'white' }
+    ] }
+  ] });
+  assert.deepEqual(placements.map(({ at, rotation, color }) => [at, rotation, color]), [
+    [[0, 0, 1], 0, 'blue'],
+    [[1, 0, 4], 90, 'white']
+  ]);
+  assert.deepEqual(placements[0].params, { brand: 'lego', width: 1, length: 2 });
+});
+
+test('buildAssembly returns one coloured geometry per brick', () => {
+  const model = buildAssembly({ parts: [
+    { block: { width: 1, length: 1, height: 1 / 3 }, at: [0, 0, 0], color: 'red' },
+    { block: { width: 1, length: 1, height: 1 / 3 }, at: [0, 0, 1], color: '#0000ff' }
+  ] });
+  assert.deepEqual(model.map(geometry => geometry.color), [[1, 0, 0, 1], [0, 0, 1, 1]]);
+});
+
+test('compileAssembly fuses, layers or separates the bricks', () => {
+  const tower = { parts: [
+    brick([0, 0, 0], { width: 1, length: 2, segments: 16 }),
+    brick([0, 0, 3], { width: 1, length: 2, height: 1 / 3, segments: 16 }),
+    brick([0, 0, 4], { width: 1, length: 1, height: 1 / 3, segments: 16 })
+  ] };
+  const parts = compileAssembly(tower, 'parts');
+  assert.equal(parts.length, 3);
+  assert.equal(compileAssembly(tower, 'layers').length, 2);
+
+  // Plates sitting on a roof get a closed bottom, so the fused tower is more than its parts
+  const [fused, ...rest] = compileAssembly(tower);
+  assert.deepEqual(rest, []);
+  assert.ok(measureVolume(fused) > parts.reduce((sum, part) => sum + measureVolume(part), 0));
+  assert.throws(() => compileAssembly(tower, 'glue'), /Unknown assembly mode/);
+});
@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { block, clearGeometryCache } = require('../lego.js');
+const { union } = require('@jscad/modeling').booleans;
+const { measureVolume } = require('@jscad/modeling').measurements;
+
+const params = { width: 2, length: 2, segments: 16 };
+
+test('block() reuses an identical brick until the cache is cleared', () => {
+  const first = block(params);
+  assert.equal(block({ ...params }), first);
+  // Params spelled out at their defaults are the same brick
+  assert.equal(block({ ...params, studType: 'solid', height: 1 }), first);
+  assert.notEqual(block({ ...params, cache: false }), first);
+  assert.notEqual(block({ ...params, studMask: () => true }), block({ ...params, studMask: () => true }));
+
+  clearGeometryCache();
+  assert.notEqual(block(params), first);
+});
+
+test('instances returns the placed parts that block() unions', () => {
+  const parts = block({ ...params, instances: true });
+  assert.ok(Array.isArray(parts));
+  assert.ok(parts.length > 1);
+  assert.ok(Math.abs(measureVolume(union(...parts)) - measureVolume(block(params))) < 1e-6);
+});
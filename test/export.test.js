@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const CLI = path.join(__dirname, '..', 'bin', 'lego-export.js');
+
+const exportSpec = (spec, ...args) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lego-export-'));
+  try {
+    const specFile = path.join(dir, 'spec.yaml');
+    fs.writeFileSync(specFile, spec);
+    const result = spawnSync(process.execPath, [CLI, specFile, '-o', path.join(dir, 'out'), ...args], { encoding: 'utf8' });
+    const files = fs.existsSync(path.join(dir, 'out')) ? fs.readdirSync(path.join(dir, 'out')).sort() : [];
+    return { ...result, files };
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+test('lego-export writes each swept footprint once, named from its params', () => {
+  const { status, files } = exportSpec([
+    'defaults: { segments: 8 }',
+    'parts:',
+    '  - { width: 1, length: 1, type: tile, height: 1/3, name: tile }',
+    'sweep:',
+    '  width: 1..2',
+    '  length: 1..2',
+    '  height: 1/3'
+  ].join('\n'));
+  assert.equal(status, 0);
+  assert.deepEqual(files, ['1x1-plate-segments-8.stl', '1x2-plate-segments-8.stl', '2x2-plate-segments-8.stl', 'tile.stl']);
+});
+
+test('lego-export fails on an unknown format without writing anything', () => {
+  const { status, stderr, files } = exportSpec('[{ width: 1, length: 1 }]', '-f', 'step');
+  assert.equal(status, 1);
+  assert.match(stderr, /Unknown format: step/);
+  assert.deepEqual(files, []);
+});
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { hingePlate, turntable } = require('../lego.js');
+const { measureBoundingBox } = require('@jscad/modeling').measurements;
+
+const round = (values) => values.map(v => Math.round(v * 1000) / 1000);
+
+test('hingePlate joins two plates end to end and folds the moving one', () => {
+  const [fixed, moving] = hingePlate({ segments: 16 });
+  const [fixedMin, fixedMax] = measureBoundingBox(fixed);
+  const [movingMin, movingMax] = measureBoundingBox(moving);
+  assert.deepEqual(round([fixedMin[0], movingMax[0]]), [-15.9, 15.9]);
+  assert.equal(movingMax[2], fixedMax[2]);
+  assert.ok(movingMin[0] < fixedMax[0]);
+
+  const [, folded] = hingePlate({ segments: 16, angle: 45 });
+  assert.ok(measureBoundingBox(folded)[1][2] > movingMax[2] + 5);
+});
+
+test('turntable halves stack two plates tall and refuse clearances with no room for the flange', () => {
+  const [base, top] = turntable({ segments: 16 });
+  const [baseMin] = measureBoundingBox(base);
+  const [, topMax] = measureBoundingBox(top);
+  // Two plates plus the top's studs, from the bed up
+  assert.deepEqual(round([baseMin[2] + 0, topMax[2]]), [0, 8.2]);
+  assert.throws(() => turntable({ clearance: 0.6 }), /no room for the flange/);
+});
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseLDraw, validateAssembly } = require('../lego.js');
+
+const model = (...lines) => ['0 test model', ...lines].join('\n');
+
+test('parseLDraw maps known parts to block() params', () => {
+  const { assembly, unknown } = parseLDraw(model('1 4 0 0 0 1 0 0 0 1 0 0 0 1 3001.dat'));
+  assert.deepEqual(unknown, []);
+  assert.equal(assembly.parts.length, 1);
+  assert.deepEqual(assembly.parts[0].block, { width: 2, length: 4, height: 1 });
+  assert.equal(assembly.parts[0].rotation, 0);
+  assert.equal(assembly.parts[0].color, '#B40000');
+});
+
+test('parseLDraw snaps near-quarter turns and stacks by LDU height', () => {
+  const { assembly } = parseLDraw(model(
+    '1 4 0 0 0 1 0 0 0 1 0 0 0 1 3001.dat',
+    '1 1 0 -24 0 0.0001 0 1 0 1 0 -1 0 0.0001 3001.dat'
+  ));
+  const [bottom, top] = assembly.parts;
+  assert.equal(top.rotation, 270);
+  assert.equal(top.at[2] - bottom.at[2], 3);
+  assert.equal(validateAssembly(assembly).valid, true);
+});
+
+test('parseLDraw reports unknown and tilted parts instead of dropping them', () => {
+  const { assembly, unknown } = parseLDraw(model(
+    '1 2 0 0 0 1 0 0 0 0 -1 0 1 0 3001.dat',
+    '1 15 0 0 100 1 0 0 0 1 0 0 0 1 9999.dat'
+  ));
+  assert.equal(assembly.parts.length, 0);
+  assert.deepEqual(unknown.map(({ part, line }) => [part, line]), [['3001.dat', 2], ['9999.dat', 3]]);
+  assert.match(unknown[0].reason, /not upright/);
+  assert.equal(unknown[1].reason, 'unknown part');
+});
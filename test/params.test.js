@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { block, validateParams, ParameterError, describe } = require('../lego.js');
+
+test('validateParams returns one ParameterError per bad field', () => {
+  const { valid, errors } = validateParams({ width: 0, type: 'slop', studRescale: 1.3, colour: 'red' });
+  assert.equal(valid, false);
+  assert.deepEqual(errors.map(error => error.field), ['width', 'type', 'studRescale', 'colour']);
+  errors.forEach(error => assert.ok(error instanceof ParameterError));
+  assert.equal(errors[0].message, 'Invalid width: expected an integer from 1 to 32, got 0');
+});
+
+test('validateParams accepts defaults and any height from a plate up', () => {
+  assert.equal(validateParams({}).valid, true);
+  assert.equal(validateParams({ width: 2, length: 4, height: 2 / 3, tolerances: 'fdm-pla' }).valid, true);
+  assert.equal(validateParams({ type: 'baseplate', height: 1 / 3 }).valid, false);
+});
+
+test('strict block() throws the first ParameterError', () => {
+  assert.throws(() => block({ width: 2, length: 2.5, strict: true }), (error) => {
+    assert.ok(error instanceof ParameterError);
+    assert.equal(error.field, 'length');
+    assert.equal(error.value, 2.5);
+    assert.deepEqual(error.allowed, { type: 'integer', min: 1, max: 32 });
+    return true;
+  });
+});
+
+test('convex curves too short to scoop are rejected by name', () => {
+  for (const [params, field] of [
+    [{ type: 'curve', curveType: 'convex', height: 1 / 3 }, 'height'],
+    [{ type: 'curve', curveType: 'convex', height: 1, curveEndHeight: 2 / 3 }, 'curveEndHeight']
+  ]) {
+    assert.deepEqual(validateParams(params).errors.map(error => error.field), [field]);
+    assert.throws(() => describe(params), (error) => error instanceof ParameterError && error.field === field);
+  }
+  assert.equal(validateParams({ type: 'curve', curveType: 'convex', height: 2 / 3 }).valid, true);
+});
+
+test('wings need at least two studs each way and always keep some', () => {
+  assert.deepEqual(validateParams({ type: 'wing', width: 1, length: 3 }).errors.map(error => error.field), ['width']);
+  assert.deepEqual(validateParams({ type: 'wing', width: 2, length: 1 }).errors.map(error => error.field), ['length']);
+  assert.throws(() => describe({ type: 'wing', width: 2, length: 2 }), /2-wide full wing needs at least 3 studs of length/);
+  for (const params of [{ width: 2, length: 3 }, { width: 3, length: 2 }, { width: 2, length: 2, wingType: 'right' }]) {
+    assert.ok(describe({ type: 'wing', ...params }).studs.length > 0);
+  }
+});
+
+test('side attachments never hang below the block', () => {
+  const plate = { width: 1, length: 2, height: 1 / 3 };
+  const bracket = describe({ ...plate, attachments: [{ kind: 'studs', size: [2, 1], plate: true }] });
+  assert.equal(bracket.bounds[0][2], 0);
+
+  const clip = describe({ width: 1, length: 1, height: 1 / 3, attachments: [{ face: 'right', kind: 'clip', axis: 'vertical' }] });
+  assert.equal(clip.bounds[0][2], 0);
+  assert.throws(() => describe({ ...plate, attachments: [{ kind: 'clip' }] }), /taller block/);
+});
+
+test('side studs stand on their face and widen the bounds', () => {
+  const bracket = describe({ width: 1, length: 2, attachments: [{ face: 'front', size: [2, 1] }, { face: 'left', kind: 'bar' }] });
+  assert.deepEqual(bracket.sideStuds, [{ center: [-4, -3.9, 4.8], face: 'front' }, { center: [4, -3.9, 4.8], face: 'front' }]);
+  assert.deepEqual(bracket.body, [15.8, 7.8, 9.6]);
+  assert.ok(bracket.bounds[0][0] < -7.9 && bracket.bounds[0][1] < -3.9);
+});
+
+test('hole, attachment and inscription problems are ParameterErrors', () => {
+  for (const [params, field] of [
+    [{ horizontalHoles: true, height: 1 / 3 }, 'height'],
+    [{ horizontalHolePositions: [{ at: 9 }] }, 'horizontalHolePositions'],
+    [{ attachments: [{ kind: 'clip' }], height: 1 / 3 }, 'attachments'],
+    [{ inscriptions: [{ text: 'x', face: 'bottom' }] }, 'inscriptions']
+  ]) {
+    assert.deepEqual(validateParams(params).errors.map(error => error.field), [field]);
+    assert.throws(() => block(params), (error) => error instanceof ParameterError && error.field === field);
+  }
+  assert.match(validateParams({ attachments: [{}, { face: 'top' }] }).errors[0].message, /^Invalid attachments: entry 1: face/);
+});
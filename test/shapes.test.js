@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { block, describe, anglePlate } = require('../lego.js');
+const { measureBoundingBox, measureVolume } = require('@jscad/modeling').measurements;
+
+const studCount = (params) => describe(params).studs.length;
+
+test('slopes keep studs only on their flat rows at the high end', () => {
+  assert.deepEqual(describe({ type: 'slope', width: 2, length: 3 }).studs, [[8, -4, 9.6], [8, 4, 9.6]]);
+  const twoRows = describe({ type: 'slope', width: 1, length: 3, slopeStudRows: 2 }).studs;
+  assert.equal(twoRows.length, 2);
+  assert.ok(twoRows.every(([x]) => x >= 0));
+
+  const slope = { type: 'slope', width: 1, length: 3, segments: 16 };
+  const full = measureVolume(block(slope));
+  assert.ok(measureVolume(block({ ...slope, slopeEndHeight: 1 / 3 })) > full);
+  assert.ok(measureVolume(block({ ...slope, type: 'brick' })) > full);
+});
+
+test('round bricks drop the studs their corners cut off', () => {
+  assert.equal(studCount({ type: 'round', width: 4, length: 4 }), 12);
+  assert.equal(studCount({ type: 'round', width: 4, length: 4, roundRadius: 1 }), 16);
+  assert.deepEqual(describe({ type: 'round', width: 4, length: 4 }).body, [31.8, 31.8, 9.6]);
+});
+
+test('roadways clear studs from baseplates, or keep only theirs when inverted', () => {
+  const baseplate = { type: 'baseplate', width: 8, length: 8 };
+  assert.equal(studCount({ ...baseplate, roadwayWidth: 2, roadwayLength: 8 }), 48);
+  assert.equal(studCount({ ...baseplate, roadwayWidth: 2, roadwayLength: 8, roadwayInvert: true }), 16);
+  // Crossing roadways share their corner stud
+  assert.equal(studCount({ ...baseplate, roadways: [{ width: 1, length: 8 }, { width: 8, length: 1 }] }), 49);
+});
+
+test('dual-sided bricks have studs on both faces and dual-bottom bricks on neither', () => {
+  const dualSided = describe({ width: 2, length: 2, dualSided: true });
+  assert.deepEqual(dualSided.studs.map(([, , z]) => z), [9.6, 9.6, 9.6, 9.6, 0, 0, 0, 0]);
+
+  const dualBottom = describe({ width: 2, length: 2, dualBottom: true });
+  assert.equal(dualBottom.studs.length, 0);
+  assert.equal(dualBottom.body[2], 19.2);
+});
+
+test('angle plates hang their overhang down, or up for negative angles', () => {
+  const [downMin, downMax] = measureBoundingBox(anglePlate({ segments: 16 }));
+  assert.ok(downMin[2] < -12);
+  assert.equal(downMax[2], 5);
+
+  const [upMin, upMax] = measureBoundingBox(anglePlate({ angle: -90, segments: 16 }));
+  assert.ok(upMin[2] > -1e-9);
+  assert.ok(upMax[2] > 15);
+});
+
+test('stud masks pick studs by grid cell, from an array or a function', () => {
+  const checkerboard = [[true, false, true, false], [false, true, false, true]];
+  assert.equal(studCount({ width: 2, length: 4, studMask: checkerboard }), 4);
+  assert.deepEqual(describe({ width: 2, length: 2, studMask: (x, y) => (x === y ? 'hollow' : false) }).studs, [[-4, -4, 9.6], [4, 4, 9.6]]);
+});
+
+test('embossed text stands out of its face and engraved text cuts into it', () => {
+  const plain = { width: 1, length: 2 };
+  assert.equal(describe({ ...plain, text: 'A' }).bounds[0][1], -3.9);
+  assert.equal(describe({ ...plain, text: 'A', textMode: 'emboss' }).bounds[0][1], -4.3);
+  assert.equal(describe({ type: 'tile', ...plain, text: 'A', textFace: 'top', textMode: 'emboss' }).bounds[1][2], 10);
+  assert.equal(describe({ ...plain, studText: 'L' }).bounds[1][2], 11.6);
+
+  const volume = (params) => measureVolume(block({ ...plain, segments: 16, ...params }));
+  assert.ok(volume({ text: 'A' }) < volume({}));
+  assert.ok(volume({ text: 'A', textMode: 'emboss' }) > volume({}));
+});
+
+test('Technic holes run along either axis as pin or axle holes', () => {
+  const holes = describe({ width: 2, length: 4, horizontalHoles: true, horizontalHoleAxis: 'both', horizontalHoleShape: 'axle' }).holes;
+  assert.deepEqual(holes.map(({ axis, shape }) => `${axis} ${shape}`), ['width axle', 'width axle', 'width axle', 'length axle']);
+
+  // Explicit holes: half a stud in, one brick up; and through the ends
+  const placed = describe({ width: 2, length: 4, height: 2, horizontalHolePositions: [{ at: 0.5, level: 1 }, { axis: 'length', at: 1, shape: 'axle' }] }).holes;
+  assert.deepEqual(placed, [
+    { center: [-12, 0, 15.4], axis: 'width', shape: 'pin' },
+    { center: [0, 0, 5.8], axis: 'length', shape: 'axle' }
+  ]);
+});
@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { buildAssembly, describe } = require('../lego.js');
+const { measureBoundingBox } = require('@jscad/modeling').measurements;
+
+const round = (values) => values.map(v => Math.round(v * 1e6) / 1e6);
+
+test('tolerances adjust the printed dimensions but not the grid', () => {
+  const nominal = describe({ width: 2, length: 4 });
+  const sls = describe({ width: 2, length: 4, tolerances: 'sls' });
+  assert.ok(sls.body[0] < nominal.body[0]);
+  assert.deepEqual(sls.studs, nominal.studs);
+  assert.equal(sls.size[2], nominal.size[2]);
+});
+
+test('assembly parts line up on the grid whatever their tolerances', () => {
+  for (const tolerances of [null, 'sls', { wallPlay: 0.3 }]) {
+    const [geometry] = buildAssembly({ parts: [{ block: { width: 1, length: 1, height: 1 / 3, tolerances }, at: [1, 2, 3] }] });
+    const [min, max] = measureBoundingBox(geometry);
+    // A 1x1's stud sits over the middle of its cell
+    assert.deepEqual(round([(min[0] + max[0]) / 2, (min[1] + max[1]) / 2, min[2]]), [20, 12, 9.6]);
+  }
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bom, brickify, validateAssembly, fitBlock, blockHeight, describe, calibrationSheet } = require('../lego.js');
+const { measureBoundingBox } = require('@jscad/modeling').measurements;
+
+const plate = (params = {}) => ({ width: 1, length: 2, height: 1 / 3, ...params });
+
+test('bom measures parts that differ only in a studMask predicate separately', () => {
+  const result = bom({ parts: [
+    { block: plate({ studMask: () => true }), at: [0, 0, 0] },
+    { block: plate({ studMask: (x) => x === 0 }), at: [0, 0, 1] }
+  ] });
+  assert.equal(result.parts.length, 1);
+  const { volume, unitVolume } = result.parts[0];
+  // Sharing the first plate's measurement would make the total twice its volume
+  const single = bom(plate({ studMask: () => true })).total.volume;
+  assert.ok(volume < single * 2 - 1);
+  assert.ok(unitVolume < single);
+});
+
+test('bom names heights that are not whole plates exactly', () => {
+  const result = bom({ parts: [
+    { block: plate({ height: 1 / 2 }), at: [0, 0, 0] },
+    { block: plate({ height: 2 / 3 }), at: [2, 0, 0] },
+    { block: plate({ height: 3 / 2 }), at: [4, 0, 0] }
+  ] });
+  assert.deepEqual(result.parts.map(part => part.descriptor), ['1x2x1/2 brick', '1x2x2/3 brick', '1x2x3/2 brick']);
+});
+
+test('fitBlock picks the smallest footprint and height that hold a size', () => {
+  assert.deepEqual(fitBlock({ x: 31.8, y: 15.8, z: 9.6 }), { width: 2, length: 4, height: 1, bricks: 1, plates: 0, size: [31.8, 15.8, 9.6] });
+  const { width, length, bricks, plates } = fitBlock({ x: 20, y: 5, z: 4 });
+  assert.deepEqual([width, length, bricks, plates], [1, 3, 0, 2]);
+});
+
+test('describe reports where things are without building the brick', () => {
+  assert.deepEqual(describe({ width: 1, length: 2, horizontalHoles: true }), {
+    size: [15.8, 7.8, 11.4],
+    bounds: [[-7.9, -3.9, 0], [7.9, 3.9, 11.4]],
+    body: [15.8, 7.8, 9.6],
+    studs: [[-4, 0, 9.6], [4, 0, 9.6]],
+    sideStuds: [],
+    posts: [],
+    pins: [[0, 0]],
+    holes: [{ center: [-0.025, 0, 5.8], axis: 'width', shape: 'pin' }]
+  });
+});
+
+test('blockHeight uses the baseplate unit for baseplates', () => {
+  assert.equal(blockHeight(1), 9.6);
+  assert.equal(blockHeight(2, 'baseplate'), 2.6);
+  assert.equal(blockHeight(1, 'brick', 'duplo'), 19.2);
+});
+
+test('DUPLO bricks use double the stud spacing and height', () => {
+  const duplo = describe({ brand: 'duplo', width: 1, length: 2 });
+  assert.deepEqual(duplo.studs, [[-8, 0, 19.2], [8, 0, 19.2]]);
+  assert.deepEqual(duplo.body, [31.8, 15.8, 19.2]);
+});
+
+test('brickify covers a heightmap with connected bricks', () => {
+  const { assembly } = brickify([[1, 1], [0, 2]], { geometry: false });
+  assert.equal(assembly.parts.length, 3);
+  assert.deepEqual(validateAssembly(assembly).unsupported, []);
+});
+
+test('calibrationSheet lays out one sample per value, each with a socket in front', () => {
+  const depth = (params) => {
+    const [min, max] = measureBoundingBox(calibrationSheet({ values: [1, 1.02], columns: 1, segments: 16, ...params }));
+    return Math.round((max[1] - min[1]) * 1000) / 1000;
+  };
+  // Two 2x2 rows 4 mm apart, or four with the sockets
+  assert.equal(depth({ sockets: false }), 35.6);
+  assert.equal(depth({}), 75.2);
+  assert.throws(() => calibrationSheet({ values: [] }), /at least one studRescale value/);
+});